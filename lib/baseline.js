@@ -0,0 +1,46 @@
+// Baseline comparison: sort the broken links of a crawl into new, still broken and
+// fixed by comparing them with the JSON report of a previous run
+
+const fs = require('fs');
+
+// Read a JSON report written with --format json
+function loadBaseline(file) {
+  let report;
+
+  try {
+    report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${file}: ${error.message}`);
+  }
+
+  if (!report || !Array.isArray(report.brokenLinks)) {
+    throw new Error(`Baseline ${file} is not a JSON report (no brokenLinks)`);
+  }
+
+  return report;
+}
+
+// Key identifying a broken link across runs. URLs are made relative to the start
+// URL, so runs against different hosts or ports (e.g. --build-dir) can be compared.
+function linkKey(link, startUrl) {
+  const relative = url => (startUrl && url.startsWith(startUrl) ? url.substring(startUrl.length) : url);
+  return `${relative(link.sourcePage)} -> ${relative(link.url)}`;
+}
+
+// Compare a result with a baseline report. Returns { new, stillBroken, fixed }:
+// broken links only in the result, in both, and only in the baseline.
+function compareWithBaseline(result, baseline) {
+  const baselineKeys = new Set(baseline.brokenLinks.map(link => linkKey(link, baseline.startUrl)));
+  const resultKeys = new Set(result.brokenLinks.map(link => linkKey(link, result.startUrl)));
+
+  return {
+    new: result.brokenLinks.filter(link => !baselineKeys.has(linkKey(link, result.startUrl))),
+    stillBroken: result.brokenLinks.filter(link => baselineKeys.has(linkKey(link, result.startUrl))),
+    fixed: baseline.brokenLinks.filter(link => !resultKeys.has(linkKey(link, baseline.startUrl)))
+  };
+}
+
+module.exports = {
+  loadBaseline,
+  compareWithBaseline
+};
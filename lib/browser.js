@@ -0,0 +1,251 @@
+// Puppeteer support: locate a local Chrome, launch it and render pages with JavaScript
+// in a pool of reusable tabs
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { createWorkerPool } = require('./scheduler');
+const { extractEditUrl, extractTitle, extractContentDigest, extractAssets } = require('./links');
+const { REGIONS, PAGINATION_DIRECTIONS } = require('./navigation');
+
+// Try to find Chrome or Chromium
+async function findChrome() {
+  const commonPaths = [
+    // macOS paths
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    // Linux paths
+    '/usr/bin/google-chrome',
+    '/usr/bin/chromium-browser',
+    '/usr/bin/chromium',
+    // Windows paths
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+  ];
+  
+  for (const path of commonPaths) {
+    try {
+      if (fs.existsSync(path)) {
+        return path;
+      }
+    } catch (e) {
+      // Skip if we can't access the path
+    }
+  }
+  
+  return null;
+}
+
+// Launch a headless browser with the Chrome found by findChrome().
+// Options: proxy (proxy server URL) and insecure (accept invalid certificates).
+async function launchBrowser(chromePath, options = {}) {
+  const puppeteer = require('puppeteer-core');
+  const args = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920,1080'
+  ];
+  
+  if (options.proxy) args.push(`--proxy-server=${options.proxy}`);
+  
+  return puppeteer.launch({
+    executablePath: chromePath,
+    headless: 'new',
+    acceptInsecureCerts: Boolean(options.insecure),
+    args: args
+  });
+}
+
+// Resource types that are never downloaded while rendering: links, anchors and
+// "Page Not Found" markup don't depend on them
+const BLOCKED_RESOURCE_TYPES = ['image', 'font', 'media'];
+
+// Debug screenshots go to this directory, one file per page
+const SCREENSHOT_DIR = 'debug-screenshots';
+
+// Create a pool of at most `size` browser tabs that are reused from one page to
+// the next instead of opening a tab per page. `setupPage` runs once for every new
+// tab. Tabs that fail are closed and replaced.
+function createPagePool(browser, options = {}) {
+  const workers = createWorkerPool(options.size || 1);
+  const idle = [];
+  const open = new Set();
+  
+  const newPage = async () => {
+    const page = await browser.newPage();
+    open.add(page);
+    await page.setViewport({ width: 1920, height: 1080 });
+    if (options.setupPage) await options.setupPage(page);
+    return page;
+  };
+  
+  const discard = async page => {
+    open.delete(page);
+    await page.close().catch(e => {});
+  };
+  
+  return {
+    // Run a task with a tab from the pool
+    use(task) {
+      return workers.run(async () => {
+        const page = idle.pop() || await newPage();
+        
+        try {
+          const result = await task(page);
+          idle.push(page);
+          return result;
+        } catch (error) {
+          await discard(page);
+          throw error;
+        }
+      });
+    },
+    
+    // Close every tab
+    async close() {
+      idle.length = 0;
+      await Promise.all(Array.from(open, discard));
+    }
+  };
+}
+
+// File name for the debug screenshot of a page, e.g.
+// debug-screenshots/localhost-3000-docs-intro.png
+function screenshotPath(pageUrl) {
+  const { host, pathname, search } = new URL(pageUrl);
+  const name = `${host}${pathname}${search}`.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '');
+  return path.join(SCREENSHOT_DIR, `${name || 'index'}.png`);
+}
+
+// Load a page with JavaScript in a tab from the pool and describe it.
+// Options:
+//   check          - only find out whether the page exists and collect its
+//                    anchors: don't wait for the network to go idle and don't
+//                    extract links (links is then null)
+//   debug          - save a screenshot of the page (see screenshotPath)
+//   log            - receives debug messages
+//   detectNotFound - receives the rendered HTML, returns the name of the matching
+//                    not-found detector or null (see lib/not-found.js)
+//   assets         - also collect the images, scripts and other resources the page uses
+async function renderPage(pool, pageUrl, options = {}) {
+  const debug = Boolean(options.debug);
+  const log = options.log || (() => {});
+  
+  if (!pool) {
+    return { success: false, links: [] };
+  }
+  
+  try {
+    return await pool.use(async page => {
+      log(`Loading page with JavaScript${options.check ? ' (check only)' : ''}: ${pageUrl}`);
+      const response = await page.goto(pageUrl, { 
+        waitUntil: options.check ? 'domcontentloaded' : 'networkidle2',
+        timeout: 30000
+      });
+      const status = response ? response.status() : null;
+      const finalUrl = page.url();
+      
+      // Every redirect on the way to the final URL
+      const redirects = response ? response.request().redirectChain().map(request => {
+        const redirectResponse = request.response();
+        return {
+          url: request.url(),
+          status: redirectResponse ? redirectResponse.status() : null,
+          location: redirectResponse ? redirectResponse.headers().location : null
+        };
+      }) : [];
+      
+      // Check if this is a 404 page (Docusaurus specific)
+      const html = await page.content();
+      const detector = options.detectNotFound ? options.detectNotFound(html) : null;
+      if (detector) {
+        log(`Found "Page Not Found" content at ${pageUrl} (${detector})`);
+        return { success: true, notFound: detector, status: status, finalUrl: finalUrl, redirects: redirects, links: [] };
+      }
+      
+      // Collect element ids and names so fragments can be validated
+      const anchors = await page.evaluate(() => {
+        const results = [];
+        
+        for (const el of document.querySelectorAll('[id], [name]')) {
+          if (el.id) results.push(el.id);
+          if (el.getAttribute('name')) results.push(el.getAttribute('name'));
+        }
+        
+        return results;
+      });
+      
+      if (options.check) {
+        const contentDigest = extractContentDigest(cheerio.load(html));
+        return { success: true, status: status, finalUrl: finalUrl, redirects: redirects, links: null, anchors: anchors, contentDigest: contentDigest };
+      }
+      
+      // Extract all links, with their theme region as in extractLinks
+      const links = await page.evaluate((regions, directions) => {
+        const results = [];
+        const anchors = document.querySelectorAll('a');
+        const match = (anchor, selectors) => {
+          const found = selectors.find(([name, selector]) => anchor.closest(selector));
+          return found ? found[0] : null;
+        };
+        
+        for (const anchor of anchors) {
+          if (anchor.href) {
+            const link = {
+              url: anchor.href,
+              text: (anchor.innerText || anchor.textContent || '').trim().substring(0, 50),
+              region: match(anchor, regions) || 'other'
+            };
+            
+            const direction = link.region === 'pagination' ? match(anchor, directions) : null;
+            if (direction) link.direction = direction;
+            results.push(link);
+          }
+        }
+        
+        return results;
+      }, REGIONS, PAGINATION_DIRECTIONS);
+      
+      // Take screenshot for debugging if requested
+      if (debug) {
+        const file = screenshotPath(pageUrl);
+        fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
+        await page.screenshot({ path: file });
+        log(`Saved debug screenshot to ${file}`);
+      }
+      
+      log(`Found ${links.length} links on ${pageUrl}`);
+      
+      const $ = cheerio.load(html);
+      const result = {
+        success: true,
+        status: status,
+        finalUrl: finalUrl,
+        redirects: redirects,
+        links: links,
+        anchors: anchors,
+        editUrl: extractEditUrl($, finalUrl),
+        title: extractTitle($),
+        contentDigest: extractContentDigest($)
+      };
+      if (options.assets) result.assets = extractAssets($, finalUrl);
+      
+      return result;
+    });
+  } catch (error) {
+    log(`Navigation error: ${error.message}`);
+    return { success: false, links: [] };
+  }
+}
+
+module.exports = {
+  BLOCKED_RESOURCE_TYPES,
+  findChrome,
+  launchBrowser,
+  createPagePool,
+  renderPage
+};
@@ -0,0 +1,88 @@
+// URL canonicalization: decide when two URLs are the same page, so variants like
+// /docs/intro, /docs/intro/, /docs/intro?x=1 and /docs/intro#setup are crawled
+// once. Link checks still request every URL as written, since a variant can fail
+// on its own (e.g. /docs/intro/ on a host without trailing slash support).
+
+// Canonicalization rules. Fragments are always dropped.
+//   drop-query     - ignore the query string
+//   sort-query     - keep the query string, with its parameters sorted
+//   trailing-slash - ignore a trailing slash
+//   index-html     - treat /dir/index.html as /dir/
+//   case           - ignore the case of the path
+const CANONICAL_RULES = ['drop-query', 'sort-query', 'trailing-slash', 'index-html', 'case'];
+
+const DEFAULT_CANONICAL_RULES = ['drop-query', 'trailing-slash', 'index-html'];
+
+// Create a function that returns the canonical form of a URL under the given rules
+function createCanonicalizer(rules = DEFAULT_CANONICAL_RULES) {
+  for (const rule of rules) {
+    if (!CANONICAL_RULES.includes(rule)) {
+      throw new Error(`Unknown canonicalization rule: ${rule}. Rules are: ${CANONICAL_RULES.join(', ')}.`);
+    }
+  }
+  if (rules.includes('drop-query') && rules.includes('sort-query')) {
+    throw new Error('Use either the drop-query or the sort-query canonicalization rule, not both.');
+  }
+
+  return url => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+
+    parsed.hash = '';
+
+    if (rules.includes('drop-query')) {
+      parsed.search = '';
+    } else if (rules.includes('sort-query')) {
+      parsed.searchParams.sort();
+    }
+
+    if (rules.includes('index-html')) {
+      parsed.pathname = parsed.pathname.replace(/\/index\.html$/, '/');
+    }
+    if (rules.includes('trailing-slash') && parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    }
+    if (rules.includes('case')) {
+      parsed.pathname = parsed.pathname.toLowerCase();
+    }
+
+    return parsed.href;
+  };
+}
+
+// Check an internal page link against the site's trailingSlash setting (true:
+// paths end with a slash, false: they don't). Returns the URL the link should
+// use, or null when it follows the convention. The site root and paths with a
+// file extension (e.g. /files/guide.pdf) are exempt.
+function trailingSlashFix(url, siteRoot, trailingSlash) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const root = new URL(siteRoot);
+  if (parsed.origin !== root.origin || !parsed.pathname.startsWith(root.pathname)) return null;
+  if (parsed.pathname === root.pathname || parsed.pathname === root.pathname.replace(/\/$/, '')) return null;
+
+  const lastSegment = parsed.pathname.replace(/\/$/, '').split('/').pop();
+  if (/\.[a-z0-9]+$/i.test(lastSegment)) return null;
+
+  const hasSlash = parsed.pathname.endsWith('/');
+  if (hasSlash === trailingSlash) return null;
+
+  parsed.pathname = trailingSlash ? `${parsed.pathname}/` : parsed.pathname.replace(/\/+$/, '');
+  return parsed.href;
+}
+
+module.exports = {
+  CANONICAL_RULES,
+  DEFAULT_CANONICAL_RULES,
+  createCanonicalizer,
+  trailingSlashFix
+};
@@ -0,0 +1,866 @@
+// Command-line interface: a thin wrapper that turns arguments into Crawler
+// options, prints progress and the summary, writes reports and sets the exit code.
+// `compare <old> <new>` compares the pages of two deployments instead.
+
+const fs = require('fs');
+const { Crawler } = require('./crawler');
+const { loadConfig } = require('./config');
+const { loadBaseline, compareWithBaseline } = require('./baseline');
+const { suggestedRewrites } = require('./suggestions');
+const { describeProgress, createStatusLine } = require('./progress');
+const { loadInventory, inventoryOf, sitePaths, clientRedirects, formatClientRedirects } = require('./compare');
+const { FORMATS, formatFromFileName, groupByAssetType, groupBySection, groupByRegion, groupByUrl, describeNavigationIssue, isWarning, countByFailure, describeSource, formatReport } = require('./reporters');
+
+// Exit codes: broken links above the threshold are distinguished from errors
+const EXIT_OK = 0;
+const EXIT_BROKEN_LINKS = 1;
+const EXIT_ERROR = 2;
+
+// Split a comma-separated list of domains
+function parseDomainList(value) {
+  return value.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+}
+
+// Split a comma-separated list, keeping the case of the items
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Split a comma-separated list of canonicalization rules ("none" for no rules)
+function parseCanonicalRules(value) {
+  const rules = value.split(',').map(rule => rule.trim().toLowerCase()).filter(Boolean);
+  return rules.length === 1 && rules[0] === 'none' ? [] : rules;
+}
+
+// Split a comma-separated list of failure classes
+function parseFailureList(value) {
+  return value.split(',').map(failure => failure.trim().toLowerCase()).filter(Boolean);
+}
+
+// Parse command line arguments. Only the options that were given are set, so
+// they can override the config file.
+function parseArgs(argv) {
+  const args = argv;
+  const options = {};
+  
+  if (process.env.DEBUG === 'true') options.debug = true;
+  
+  // Credentials can come from the environment, so they don't show up in process lists
+  if (process.env.LINK_CRAWLER_AUTH) options.auth = process.env.LINK_CRAWLER_AUTH;
+  if (process.env.LINK_CRAWLER_TOKEN) options.bearerToken = process.env.LINK_CRAWLER_TOKEN;
+  
+  // Find URL argument (first non-flag argument or --url value) and options that take a value
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--use-puppeteer') {
+      options.usePuppeteer = true;
+    } else if (args[i] === '--verbose' || args[i] === '-v') {
+      options.verbose = true;
+    } else if (args[i] === '--check-external') {
+      options.checkExternal = true;
+    } else if (args[i] === '--check-assets') {
+      options.checkAssets = true;
+    } else if (args[i] === '--resume') {
+      options.resume = true;
+    } else if (args[i] === '--sitemap') {
+      options.sitemap = true;
+    } else if (args[i] === '--insecure') {
+      options.insecure = true;
+    } else if (args[i] === '--url' && i + 1 < args.length) {
+      options.url = args[++i];
+    } else if (args[i] === '--config' && i + 1 < args.length) {
+      options.config = args[++i];
+    } else if (args[i] === '--docusaurus-config') {
+      // The path is optional: without it, docusaurus.config.js is looked up in the current directory
+      options.docusaurusConfig = i + 1 < args.length && !args[i + 1].startsWith('-') && /\.[cm]?[jt]s$/.test(args[i + 1]) ? args[++i] : true;
+    } else if (args[i] === '--concurrency' && i + 1 < args.length) {
+      options.concurrency = Number(args[++i]);
+    } else if (args[i] === '--rate-limit' && i + 1 < args.length) {
+      options.rateLimit = Number(args[++i]);
+    } else if (args[i] === '--timeout' && i + 1 < args.length) {
+      options.timeout = Number(args[++i]);
+    } else if (args[i] === '--link-timeout' && i + 1 < args.length) {
+      options.linkTimeout = Number(args[++i]);
+    } else if (args[i] === '--retries' && i + 1 < args.length) {
+      options.retries = Number(args[++i]);
+    } else if (args[i] === '--retry-delay' && i + 1 < args.length) {
+      options.retryDelay = Number(args[++i]);
+    } else if (args[i] === '--max-retry-delay' && i + 1 < args.length) {
+      options.maxRetryDelay = Number(args[++i]);
+    } else if (args[i] === '--warn-on' && i + 1 < args.length) {
+      options.warnOn = (options.warnOn || []).concat(parseFailureList(args[++i]));
+    } else if (args[i] === '--user-agent' && i + 1 < args.length) {
+      options.userAgent = args[++i];
+    } else if (args[i] === '--auth' && i + 1 < args.length) {
+      options.auth = args[++i];
+    } else if (args[i] === '--bearer-token' && i + 1 < args.length) {
+      options.bearerToken = args[++i];
+    } else if (args[i] === '--header' && i + 1 < args.length) {
+      options.headers = (options.headers || []).concat(args[++i]);
+    } else if (args[i] === '--cookie' && i + 1 < args.length) {
+      options.cookies = (options.cookies || []).concat(args[++i]);
+    } else if (args[i] === '--proxy' && i + 1 < args.length) {
+      options.proxy = args[++i];
+    } else if (args[i] === '--ca-file' && i + 1 < args.length) {
+      options.caFile = args[++i];
+    } else if (args[i] === '--cache-file' && i + 1 < args.length) {
+      options.cacheFile = args[++i];
+    } else if (args[i] === '--cache-ttl' && i + 1 < args.length) {
+      options.cacheTtl = Number(args[++i]);
+    } else if (args[i] === '--external-rate-limit' && i + 1 < args.length) {
+      options.externalRateLimit = Number(args[++i]);
+    } else if (args[i] === '--external-allow' && i + 1 < args.length) {
+      options.externalAllow = (options.externalAllow || []).concat(parseDomainList(args[++i]));
+    } else if (args[i] === '--external-deny' && i + 1 < args.length) {
+      options.externalDeny = (options.externalDeny || []).concat(parseDomainList(args[++i]));
+    } else if (args[i] === '--format' && i + 1 < args.length) {
+      options.format = args[++i].toLowerCase();
+    } else if ((args[i] === '--output' || args[i] === '-o') && i + 1 < args.length) {
+      options.output = args[++i];
+    } else if (args[i] === '--html' && i + 1 < args.length) {
+      options.html = args[++i];
+    } else if (args[i] === '--state-file' && i + 1 < args.length) {
+      options.stateFile = args[++i];
+    } else if (args[i] === '--suggestions-file' && i + 1 < args.length) {
+      options.suggestionsFile = args[++i];
+    } else if (args[i] === '--save-inventory' && i + 1 < args.length) {
+      options.saveInventory = args[++i];
+    } else if (args[i] === '--baseline' && i + 1 < args.length) {
+      options.baseline = args[++i];
+    } else if (args[i] === '--fail-threshold' && i + 1 < args.length) {
+      options.failThreshold = Number(args[++i]);
+    } else if (args[i] === '--build-dir' && i + 1 < args.length) {
+      options.buildDir = args[++i];
+    } else if (args[i] === '--base-url' && i + 1 < args.length) {
+      options.baseUrl = args[++i];
+    } else if (args[i] === '--trailing-slash' && i + 1 < args.length) {
+      const value = args[++i];
+      options.trailingSlash = value === 'true' ? true : value === 'false' ? false : value;
+    } else if (args[i] === '--canonicalize' && i + 1 < args.length) {
+      options.canonicalize = parseCanonicalRules(args[++i]);
+    } else if (args[i] === '--port' && i + 1 < args.length) {
+      options.port = Number(args[++i]);
+    } else if (['--crawl-include', '--crawl-exclude', '--check-include', '--check-exclude'].includes(args[i]) && i + 1 < args.length) {
+      // --crawl-include becomes crawlInclude, etc.; each can be repeated
+      const key = args[i].substring(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+      options[key] = (options[key] || []).concat(args[++i]);
+    } else if (args[i] === '--not-found-selector' && i + 1 < args.length) {
+      options.notFoundSelectors = (options.notFoundSelectors || []).concat(args[++i]);
+    } else if (args[i] === '--not-found-pattern' && i + 1 < args.length) {
+      options.notFoundPatterns = (options.notFoundPatterns || []).concat(args[++i]);
+    } else if (args[i] === '--max-redirects' && i + 1 < args.length) {
+      options.maxRedirects = Number(args[++i]);
+    } else if (args[i] === '--redirect-chain-limit' && i + 1 < args.length) {
+      options.redirectChainLimit = Number(args[++i]);
+    } else if (args[i] === '--base-path' && i + 1 < args.length) {
+      options.basePath = args[++i];
+    } else if (args[i] === '--max-depth' && i + 1 < args.length) {
+      options.maxDepth = Number(args[++i]);
+    } else if (args[i] === '--max-pages' && i + 1 < args.length) {
+      options.maxPages = Number(args[++i]);
+    } else if (args[i] === '--locales' && i + 1 < args.length) {
+      options.locales = parseList(args[++i]);
+    } else if (args[i] === '--default-locale' && i + 1 < args.length) {
+      options.defaultLocale = args[++i];
+    } else if (args[i] === '--versions' && i + 1 < args.length) {
+      options.versions = parseList(args[++i]);
+    } else if (args[i] === '--docs-path' && i + 1 < args.length) {
+      options.docsPath = args[++i];
+    } else if (args[i] === '--source-dir' && i + 1 < args.length) {
+      options.sourceDir = args[++i];
+    } else if (args[i] === '--sitemap-url' && i + 1 < args.length) {
+      options.sitemapUrl = args[++i];
+      options.sitemap = true;
+    } else if (!args[i].startsWith('-') && !options.url) {
+      options.url = args[i];
+    }
+  }
+  
+  return options;
+}
+
+// Print the usage message
+function printUsage() {
+  console.error('Usage: docusaurus-link-crawler [--use-puppeteer] [--verbose|-v] [--concurrency <n>] [--rate-limit <rps>] [--cache-file <path>] [--check-external] [--format <format>] [--output <file>] [--html <file>] <url>');
+  console.error('   or: docusaurus-link-crawler --url <url> [--use-puppeteer] [--verbose|-v]');
+  console.error('   or: docusaurus-link-crawler --build-dir <dir> [--base-url <path>] [--trailing-slash true|false] [options]');
+  console.error('   or: docusaurus-link-crawler [--config <file>] [--docusaurus-config [<file>]] [options]');
+  console.error('   or: docusaurus-link-crawler compare <old-url|inventory.json|build-dir> <new-url|build-dir> [--save-inventory <file>] [options]');
+  console.error('Example: docusaurus-link-crawler http://localhost:3000/');
+}
+
+// Count the distinct pages a list of broken links was found on
+function countSourcePages(links) {
+  return new Set(links.map(link => link.sourcePage)).size;
+}
+
+// Print broken links (sorted by source page) as a table
+function printBrokenLinksTable(links, linkHeader, startUrl) {
+  // Table header
+  console.log('┌─────────────────────────────────────────────────────────────────────────────┐');
+  console.log(`│ SOURCE PAGE                   │ ${linkHeader.padEnd(30)} │ REASON     │`);
+  console.log('├─────────────────────────────────────────────────────────────────────────────┤');
+  
+  // Table rows
+  let lastSourcePage = '';
+  links.forEach(link => {
+    // Prepare the data for the columns
+    const sourcePage = link.sourcePage === lastSourcePage ? '' : link.sourcePage.replace(startUrl, '');
+    lastSourcePage = link.sourcePage;
+    
+    const brokenUrl = link.url.replace(startUrl, '');
+    const reason = link.reason;
+    
+    // Format and truncate each column
+    const col1 = sourcePage.padEnd(30).substring(0, 30);
+    const col2 = brokenUrl.padEnd(30).substring(0, 30);
+    const col3 = reason.padEnd(12).substring(0, 12);
+    
+    console.log(`│ ${col1} │ ${col2} │ ${col3} │`);
+  });
+  
+  console.log('└─────────────────────────────────────────────────────────────────────────────┘');
+}
+
+// Print where broken links are written in the Markdown/MDX sources (--source-dir)
+function printSourceLocations(links, startUrl) {
+  const located = links.filter(link => link.source);
+  if (located.length === 0) return;
+  
+  console.log(`\nBroken links in the source files:`);
+  located
+    .slice()
+    .sort((a, b) => describeSource(a.source).localeCompare(describeSource(b.source), undefined, { numeric: true }))
+    .forEach(link => console.log(`  ${describeSource(link.source)}  ${link.url.replace(startUrl, '/')} (${link.reason})`));
+}
+
+// Print the best replacement for every broken link with suggestions
+function printSuggestions(links, startUrl) {
+  const suggested = new Map();
+  links.filter(link => link.suggestions).forEach(link => suggested.set(link.url, link.suggestions));
+  if (suggested.size === 0) return;
+  
+  console.log(`\nDid you mean:`);
+  for (const [url, suggestions] of suggested) {
+    const others = suggestions.slice(1).map(suggestion => suggestion.url.replace(startUrl, '/'));
+    console.log(`  ${url.replace(startUrl, '/')} → ${suggestions[0].url.replace(startUrl, '/')} (${suggestions[0].reasons.join(', ')}, score ${suggestions[0].score})${others.length > 0 ? `; or ${others.join(', ')}` : ''}`);
+  }
+}
+
+// Print redirected links with the URL to use instead
+function printRedirectedLinks(links, startUrl) {
+  console.log(`\nFound ${links.length} redirected links on ${countSourcePages(links)} pages (update them to the final URL):`);
+  
+  let lastSourcePage = '';
+  links.forEach(link => {
+    if (link.sourcePage !== lastSourcePage) {
+      console.log(`\n  ${link.sourcePage.replace(startUrl, '/')}`);
+      lastSourcePage = link.sourcePage;
+    }
+    
+    const statuses = link.redirects.map(redirect => redirect.status).join(' → ');
+    console.log(`    ${link.url.replace(startUrl, '/')} → ${link.suggestion.replace(startUrl, '/')} (${statuses}; ${link.warnings.join(', ')})`);
+  });
+}
+
+// Print links that don't follow the site's trailingSlash setting
+function printTrailingSlashLinks(links, startUrl) {
+  console.log(`\nFound ${links.length} links against trailingSlash: ${links[0].trailingSlash} on ${countSourcePages(links)} pages:`);
+  
+  let lastSourcePage = '';
+  links.forEach(link => {
+    if (link.sourcePage !== lastSourcePage) {
+      console.log(`\n  ${link.sourcePage.replace(startUrl, '/')}`);
+      lastSourcePage = link.sourcePage;
+    }
+    
+    console.log(`    ${link.url.replace(startUrl, '/')} → ${link.suggestion.replace(startUrl, '/')}${link.source ? ` (${describeSource(link.source)})` : ''}`);
+  });
+}
+
+// Print broken navbar, sidebar, pagination, breadcrumb, TOC and footer links, each
+// once (they repeat on every page), and the pagination issues
+function printNavigationProblems(brokenLinks, navigationIssues, startUrl) {
+  const navigationGroups = Array.from(groupByRegion(brokenLinks)).filter(([region]) => region !== 'body' && region !== 'other');
+  
+  if (navigationGroups.length > 0) {
+    console.log(`\nBroken navigation links:`);
+    for (const [region, links] of navigationGroups) {
+      console.log(`\n  ${region}`);
+      for (const [url, urlLinks] of groupByUrl(links)) {
+        console.log(`    ${url.replace(startUrl, '/')} (${urlLinks[0].reason}) on ${countSourcePages(urlLinks)} pages`);
+      }
+    }
+  }
+  
+  if (navigationIssues && navigationIssues.length > 0) {
+    console.log(`\nFound ${navigationIssues.length} navigation issues:`);
+    navigationIssues.forEach(issue => console.log(`  - ${issue.page.replace(startUrl, '/')}: ${describeNavigationIssue(issue).split(startUrl).join('/')}`));
+  }
+}
+
+// Print links into another locale or docs version, and untranslated pages
+function printSectionProblems(crossLinks, missingTranslations, startUrl) {
+  if (crossLinks.length > 0) {
+    console.log(`\nFound ${crossLinks.length} links into another locale or docs version on ${countSourcePages(crossLinks)} pages:`);
+    
+    let lastSourcePage = '';
+    crossLinks.forEach(link => {
+      if (link.sourcePage !== lastSourcePage) {
+        console.log(`\n  ${link.sourcePage.replace(startUrl, '/')}`);
+        lastSourcePage = link.sourcePage;
+      }
+      
+      console.log(`    ${link.url.replace(startUrl, '/')} (${link.kind} ${link.from} → ${link.to})`);
+    });
+  }
+  
+  if (missingTranslations && missingTranslations.length > 0) {
+    console.log(`\nFound ${missingTranslations.length} pages without a translation:`);
+    missingTranslations.forEach(page => console.log(`  - ${page.url.replace(startUrl, '/')} has no ${page.locale} version (${page.counterpart.replace(startUrl, '/')}: ${page.reason})`));
+  }
+}
+
+// Print how the broken links compare with the baseline
+function printBaselineComparison(comparison, startUrl) {
+  console.log(`\nCompared with the baseline: ${comparison.new.length} new, ${comparison.stillBroken.length} still broken, ${comparison.fixed.length} fixed`);
+  
+  if (comparison.new.length > 0) {
+    console.log('\nNew broken links:\n');
+    printBrokenLinksTable(comparison.new, 'BROKEN LINK', startUrl);
+  }
+  
+  if (comparison.fixed.length > 0) {
+    console.log('\nFixed since the baseline:');
+    comparison.fixed.forEach(link => console.log(`  - ${link.sourcePage} → ${link.url}`));
+  }
+}
+
+// Print both kinds of orphan pages
+function printOrphanPages(orphans, startUrl) {
+  const sections = [
+    ['pages in the sitemap not linked from any page', orphans.notLinked],
+    ['linked pages missing from the sitemap', orphans.notInSitemap]
+  ];
+  
+  for (const [title, urls] of sections) {
+    if (urls.length === 0) continue;
+    
+    console.log(`\nFound ${urls.length} ${title}:`);
+    urls.forEach(url => console.log(`  - ${url.replace(startUrl, '/')}`));
+  }
+  
+  if (orphans.notLinked.length === 0 && orphans.notInSitemap.length === 0) {
+    console.log('\nNo orphan pages found.');
+  }
+}
+
+// Check if the report is written to stdout (--format without --output)
+function reportsToStdout(args) {
+  return Boolean(args.format) && !args.output;
+}
+
+// Send console.log to stderr, so that a report on stdout can be redirected to a
+// file without the messages and the summary. Returns a function that undoes it.
+function messagesToStderr() {
+  const log = console.log;
+  console.log = console.error;
+  return () => {
+    console.log = log;
+  };
+}
+
+// Show a live status line, and messages and (in verbose mode) broken links as the
+// crawler reports them. Everything goes through the status line, so they don't
+// garble each other. Returns the status line, to remove it before the summary.
+function attachConsoleOutput(crawler, args) {
+  const verbose = args.verbose;
+  const debug = args.debug;
+  const status = createStatusLine(reportsToStdout(args) ? process.stderr : process.stdout);
+  let origin = '';
+  let currentPage = '';
+  
+  crawler.on('log', message => status.log(message));
+  crawler.on('debug', message => status.log(message));
+  
+  crawler.on('start', event => {
+    origin = new URL(event.startUrl).origin;
+    status.log(`Start URL: ${event.startUrl}`);
+  });
+  
+  crawler.on('pageStart', url => {
+    currentPage = url.replace(origin, '');
+  });
+  
+  // Pages done, queued and in progress, broken links, request rate and ETA, with
+  // the latest page on a terminal
+  crawler.on('progress', progress => {
+    const text = describeProgress(progress);
+    status.update(status.tty && currentPage ? `${text} | ${currentPage}` : text);
+  });
+  
+  // Report broken links immediately only in verbose mode
+  crawler.on('brokenLink', link => {
+    if (!verbose && !debug) return;
+    
+    const lines = [
+      `${isWarning(link) ? 'WARNING' : 'BROKEN'} ${link.external ? 'EXTERNAL ' : ''}${link.type ? `<${link.type}> ASSET` : 'LINK'} on ${link.sourcePage}`,
+      `  → ${link.url}`,
+      `  → Reason: ${link.reason} (${link.failure})`
+    ];
+    if (link.text) lines.push(`  → Text: "${link.text}"`);
+    status.log(lines.join('\n'));
+  });
+  
+  // Only show the count per page in verbose mode
+  crawler.on('page', page => {
+    if ((verbose || debug) && page.brokenLinks.length > 0) {
+      status.log(`Found ${page.brokenLinks.length} broken links on ${page.url}`);
+    }
+  });
+  
+  return status;
+}
+
+// Print the summary, broken link tables and orphan pages
+function printSummary(result) {
+  const errors = result.brokenLinks.filter(link => !isWarning(link));
+  const warnings = result.brokenLinks.filter(isWarning);
+  const internalBrokenLinks = errors.filter(link => !link.external && !link.type);
+  const externalBrokenLinks = errors.filter(link => link.external && !link.type);
+  const brokenAssets = errors.filter(link => link.type);
+  
+  console.log(`\nSummary:`);
+  if (result.interrupted) {
+    console.log('The crawl was interrupted: these results only cover the pages visited so far.');
+  }
+  console.log(`Visited ${result.pagesVisited} unique pages in ${result.duration.toFixed(1)} seconds`);
+  console.log(`Link cache: ${result.cache.hits} hits, ${result.cache.misses} misses`);
+  
+  if (result.brokenLinks.length === 0) {
+    console.log('No broken links found.');
+  } else {
+    const counts = Object.entries(countByFailure(result.brokenLinks)).map(([failure, count]) => `${failure} ${count}`);
+    console.log(`Failures by class: ${counts.join(', ')}`);
+    
+    const sections = Array.from(groupBySection(errors), ([section, links]) => `${section} ${links.length}`);
+    if (sections.length > 0) console.log(`Broken links by version and locale: ${sections.join(', ')}`);
+    
+    const regions = Array.from(groupByRegion(errors), ([region, links]) => `${region} ${links.length}`);
+    if (regions.length > 0) console.log(`Broken links by region: ${regions.join(', ')}`);
+  }
+  
+  if (internalBrokenLinks.length > 0) {
+    console.log(`\nFound ${internalBrokenLinks.length} broken links on ${countSourcePages(internalBrokenLinks)} pages:\n`);
+    printBrokenLinksTable(internalBrokenLinks, 'BROKEN LINK', result.startUrl);
+  }
+  
+  // External failures get their own section
+  if (externalBrokenLinks.length > 0) {
+    console.log(`\nFound ${externalBrokenLinks.length} broken external links on ${countSourcePages(externalBrokenLinks)} pages:\n`);
+    printBrokenLinksTable(externalBrokenLinks, 'EXTERNAL LINK', result.startUrl);
+  }
+  
+  // Broken assets, listed by element type
+  if (brokenAssets.length > 0) {
+    console.log(`\nFound ${brokenAssets.length} broken assets on ${countSourcePages(brokenAssets)} pages:`);
+    
+    for (const [type, links] of groupByAssetType(brokenAssets)) {
+      console.log(`\n<${type}> (${links.length}):\n`);
+      printBrokenLinksTable(links, `${type.toUpperCase()} URL`, result.startUrl);
+    }
+  }
+  
+  // Failure classes demoted with --warn-on
+  if (warnings.length > 0) {
+    console.log(`\nFound ${warnings.length} warnings on ${countSourcePages(warnings)} pages (not counted as failures):\n`);
+    printBrokenLinksTable(warnings, 'LINK', result.startUrl);
+  }
+  
+  printSourceLocations(result.brokenLinks, result.startUrl);
+  printSuggestions(result.brokenLinks, result.startUrl);
+  
+  if (result.redirectedLinks.length > 0) {
+    printRedirectedLinks(result.redirectedLinks, result.startUrl);
+  }
+  
+  if (result.trailingSlashLinks && result.trailingSlashLinks.length > 0) {
+    printTrailingSlashLinks(result.trailingSlashLinks, result.startUrl);
+  }
+  
+  printNavigationProblems(errors, result.navigationIssues, result.startUrl);
+  printSectionProblems(result.crossLinks || [], result.missingTranslations, result.startUrl);
+  
+  // Orphan pages, when the sitemap was read
+  if (result.orphans) {
+    printOrphanPages(result.orphans, result.startUrl);
+  }
+  
+  if (result.baseline) {
+    printBaselineComparison(result.baseline, result.startUrl);
+  }
+}
+
+// Print what became of the old deployment's pages on the new one
+function printPageChanges(changes, pagesCompared, oldStartUrl, newStartUrl) {
+  const byChange = change => changes.filter(page => page.change === change);
+  const removed = byChange('removed');
+  const soft404 = byChange('soft-404');
+  const redirected = byChange('redirected');
+  const failed = byChange('failed');
+  
+  console.log(`\nCompared ${pagesCompared} pages of ${oldStartUrl} with ${newStartUrl}:`);
+  console.log(`${removed.length} removed, ${soft404.length} "Page Not Found" pages, ${redirected.length} redirected, ${failed.length} could not be checked`);
+  
+  const sections = [
+    ['Removed pages', removed],
+    ['Pages that became "Page Not Found" pages', soft404],
+    ['Pages that could not be checked', failed]
+  ];
+  
+  for (const [title, pages] of sections) {
+    if (pages.length === 0) continue;
+    
+    console.log(`\n${title}:`);
+    pages.forEach(page => {
+      const suggestion = page.suggestions ? `, did you mean ${page.suggestions[0].url.replace(newStartUrl, '/')}?` : '';
+      console.log(`  ${page.path} (${page.reason}${suggestion})`);
+    });
+  }
+  
+  if (redirected.length > 0) {
+    console.log('\nRedirected pages:');
+    redirected.forEach(page => console.log(`  ${page.path} → ${page.finalUrl.replace(newStartUrl, '/')}`));
+  }
+}
+
+// The broken link record of the start page when it couldn't be loaded (the crawl
+// then checked nothing), or undefined
+function startPageFailure(result) {
+  return result.brokenLinks.find(link => link.url === result.startUrl && link.sourcePage === result.startUrl);
+}
+
+// Print why a crawl that couldn't load its start page failed
+function printStartPageFailure(link) {
+  console.error(`\nError: could not load the start page ${link.url} (${link.reason})`);
+}
+
+// Crawler options for a site given on the command line: a build directory to
+// serve, or a URL
+function siteOptions(site) {
+  return fs.existsSync(site) && fs.statSync(site).isDirectory() ? { url: null, buildDir: site } : { url: site, buildDir: null };
+}
+
+// Run a crawl with the live status line, stopping cleanly on Ctrl-C or SIGTERM.
+// Resolves to the result, or null when the crawl failed.
+async function runCrawl(crawler, args) {
+  const status = attachConsoleOutput(crawler, args);
+  
+  // Save the crawl state and clean up the browser and local server on unexpected errors
+  const exitOnError = (label, error) => {
+    status.done();
+    console.error(`\n${label}:`, error);
+    crawler.saveState();
+    crawler.close().finally(() => process.exit(EXIT_ERROR));
+  };
+  const onException = error => exitOnError('Uncaught exception', error);
+  const onRejection = reason => exitOnError('Unhandled promise rejection', reason);
+  process.on('uncaughtException', onException);
+  process.on('unhandledRejection', onRejection);
+  
+  // Ctrl-C or SIGTERM stops the crawl and reports what was found so far. A second
+  // one exits right away, saving the state for --resume.
+  const onSignal = signal => {
+    if (crawler.stopping) {
+      status.done();
+      console.error(`\nReceived ${signal} again, exiting without a report`);
+      crawler.saveState();
+      crawler.close().finally(() => process.exit(EXIT_ERROR));
+      return;
+    }
+    
+    status.log(`Received ${signal}, press Ctrl-C again to exit without a report`);
+    crawler.stop();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  
+  status.log('Starting website crawler for broken links...');
+  
+  try {
+    return await crawler.crawl();
+  } catch (error) {
+    console.error('\nError during crawl:', error);
+    return null;
+  } finally {
+    status.done();
+    process.removeListener('uncaughtException', onException);
+    process.removeListener('unhandledRejection', onRejection);
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  }
+}
+
+// Compare two deployments and resolve to the exit code: crawl the old one (or read
+// its inventory, a JSON report), check its pages on the new one, and list the
+// ones that are gone with client redirects to their replacements
+async function compare(argv) {
+  const [oldSite, newSite] = argv;
+  if (!oldSite || !newSite || oldSite.startsWith('-') || newSite.startsWith('-')) {
+    console.error('Error: compare needs the old and the new site.');
+    printUsage();
+    return EXIT_ERROR;
+  }
+  
+  let args;
+  let configFile;
+  try {
+    const config = await loadConfig(parseArgs(argv.slice(2)));
+    args = { verbose: false, format: null, output: null, failThreshold: 0, ...config.settings };
+    configFile = config.configFile;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+  
+  if (args.output && !args.format && formatFromFileName(args.output) === 'json') {
+    args.format = 'json';
+  }
+  
+  const restoreConsole = reportsToStdout(args) ? messagesToStderr() : null;
+  try {
+    if (configFile) console.log(`Using config file ${configFile}`);
+    return await compareSites(oldSite, newSite, args);
+  } finally {
+    if (restoreConsole) restoreConsole();
+  }
+}
+
+// Compare the old site with the new one, see compare()
+async function compareSites(oldSite, newSite, args) {
+  if (args.format && args.format !== 'json') {
+    console.error('Error: compare only supports --format json (by default it writes client redirects).');
+    return EXIT_ERROR;
+  }
+  
+  if (args.stateFile || args.resume) {
+    console.error('Error: --state-file and --resume cannot be used with compare.');
+    return EXIT_ERROR;
+  }
+  
+  if (args.html || args.baseline || args.suggestionsFile) {
+    console.error('Error: --html, --baseline and --suggestions-file cannot be used with compare.');
+    return EXIT_ERROR;
+  }
+  
+  // The site settings (url, buildDir) come from the two sites instead
+  const { verbose, format, output, html, failThreshold, baseline, suggestionsFile, saveInventory, url, buildDir, ...crawlerOptions } = args;
+  
+  let oldInventory;
+  try {
+    if (fs.existsSync(oldSite) && fs.statSync(oldSite).isFile()) {
+      oldInventory = loadInventory(oldSite);
+      console.log(`Read ${oldInventory.pages.length} pages of ${oldInventory.startUrl} from ${oldSite}`);
+    } else {
+      console.log(`Crawling the old site ${oldSite}`);
+      const oldResult = await runCrawl(new Crawler({ ...crawlerOptions, ...siteOptions(oldSite) }), args);
+      if (!oldResult || oldResult.interrupted) return EXIT_ERROR;
+      
+      if (startPageFailure(oldResult)) {
+        printStartPageFailure(startPageFailure(oldResult));
+        return EXIT_ERROR;
+      }
+      
+      oldInventory = inventoryOf(oldResult);
+      if (saveInventory) {
+        fs.writeFileSync(saveInventory, formatReport('json', oldResult));
+        console.log(`Wrote the inventory of ${oldInventory.pages.length} pages to ${saveInventory}`);
+      }
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+  
+  const previousPages = sitePaths(oldInventory, crawlerOptions.baseUrl);
+  let crawler;
+  
+  try {
+    crawler = new Crawler({ ...crawlerOptions, ...siteOptions(newSite), previousPages: previousPages });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+  
+  console.log(`\nCrawling the new site ${newSite}`);
+  const result = await runCrawl(crawler, args);
+  if (!result || result.interrupted) return EXIT_ERROR;
+  
+  if (startPageFailure(result)) {
+    printStartPageFailure(startPageFailure(result));
+    return EXIT_ERROR;
+  }
+  
+  printPageChanges(result.pageChanges, previousPages.length, oldInventory.startUrl, result.startUrl);
+  
+  const redirects = clientRedirects(result.pageChanges, result.startUrl, crawlerOptions.baseUrl);
+  const report = format === 'json'
+    ? JSON.stringify({
+      oldStartUrl: oldInventory.startUrl,
+      newStartUrl: result.startUrl,
+      pagesCompared: previousPages.length,
+      pageChanges: result.pageChanges,
+      redirects: redirects
+    }, null, 2) + '\n'
+    : formatClientRedirects(redirects);
+  
+  if (output) {
+    fs.writeFileSync(output, report);
+    console.log(`\nWrote ${format === 'json' ? 'the comparison' : 'client redirects'} to ${output}`);
+  } else if (format === 'json') {
+    process.stdout.write(report);
+  } else if (redirects.length > 0) {
+    console.log('\nClient redirects for @docusaurus/plugin-client-redirects in docusaurus.config.js:\n');
+    process.stdout.write(report);
+  }
+  
+  // Fail when more old pages are gone than allowed
+  return redirects.length > failThreshold ? EXIT_BROKEN_LINKS : EXIT_OK;
+}
+
+// Run the CLI and resolve to the exit code
+async function main(argv = process.argv.slice(2)) {
+  if (argv[0] === 'compare') return compare(argv.slice(1));
+  
+  // Command-line arguments override the config file, which overrides docusaurus.config.js
+  let args;
+  let configFile;
+  
+  try {
+    const config = await loadConfig(parseArgs(argv));
+    args = { verbose: false, format: null, output: null, failThreshold: 0, ...config.settings };
+    configFile = config.configFile;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+  
+  // Infer the report format from the output file name
+  if (args.output && !args.format) {
+    args.format = formatFromFileName(args.output);
+  }
+  
+  // With the report on stdout, everything else goes to stderr
+  const restoreConsole = reportsToStdout(args) ? messagesToStderr() : null;
+  try {
+    if (configFile) console.log(`Using config file ${configFile}`);
+    return await checkSite(args);
+  } finally {
+    if (restoreConsole) restoreConsole();
+  }
+}
+
+// Crawl the site and resolve to the exit code, see main()
+async function checkSite(args) {
+  // Check if URL (or a build directory to serve) is provided
+  if (!args.url && !args.buildDir) {
+    console.error('Error: URL is required.');
+    printUsage();
+    return EXIT_ERROR;
+  }
+  
+  if (args.format && !FORMATS.includes(args.format)) {
+    console.error(`Error: --format must be one of: ${FORMATS.join(', ')}.`);
+    return EXIT_ERROR;
+  }
+  
+  if (args.output && !args.format) {
+    console.error('Error: cannot infer the report format from the output file name, use --format.');
+    return EXIT_ERROR;
+  }
+  
+  if (!Number.isInteger(args.failThreshold) || args.failThreshold < 0) {
+    console.error('Error: --fail-threshold must be a non-negative integer.');
+    return EXIT_ERROR;
+  }
+  
+  // Everything else is a crawler option, validated by the Crawler itself
+  const { verbose, format, output, html, failThreshold, baseline, suggestionsFile, ...crawlerOptions } = args;
+  let baselineReport = null;
+  let crawler;
+  
+  try {
+    if (baseline) baselineReport = loadBaseline(baseline);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+  
+  try {
+    crawler = new Crawler(crawlerOptions);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+  
+  const result = await runCrawl(crawler, args);
+  if (!result) return EXIT_ERROR;
+  
+  // Sort broken links into new, still broken and fixed
+  if (baselineReport) {
+    result.baseline = compareWithBaseline(result, baselineReport);
+  }
+  
+  printSummary(result);
+  
+  // Machine-readable report, written in full without truncation
+  if (format) {
+    const report = formatReport(format, result);
+    
+    if (output) {
+      fs.writeFileSync(output, report);
+      console.log(`\nWrote ${format} report to ${output}`);
+    } else {
+      process.stdout.write(report);
+    }
+  }
+  
+  // The HTML report, for people, next to any machine-readable one
+  if (html) {
+    fs.writeFileSync(html, formatReport('html', result));
+    console.log(`\nWrote HTML report to ${html}`);
+  }
+  
+  // Old URL → suggested URL for the broken links with suggestions
+  if (suggestionsFile) {
+    const rewrites = suggestedRewrites(result.brokenLinks);
+    fs.writeFileSync(suggestionsFile, JSON.stringify(rewrites, null, 2) + '\n');
+    console.log(`\nWrote ${Object.keys(rewrites).length} suggested rewrites to ${suggestionsFile}`);
+  }
+  
+  // Nothing was checked when the start page didn't load, e.g. on a server that is down
+  if (startPageFailure(result)) {
+    printStartPageFailure(startPageFailure(result));
+    return EXIT_ERROR;
+  }
+  
+  // An interrupted crawl is incomplete, whatever it found so far
+  if (result.interrupted) {
+    if (crawler.options.stateFile) {
+      console.log(`\nRun again with --resume to continue the crawl saved in ${crawler.options.stateFile}`);
+    }
+    return EXIT_ERROR;
+  }
+  
+  // Fail when there are more broken links than allowed (only new ones with a
+  // baseline). Warnings never fail the run.
+  const failures = (result.baseline ? result.baseline.new : result.brokenLinks).filter(link => !isWarning(link));
+  return failures.length > failThreshold ? EXIT_BROKEN_LINKS : EXIT_OK;
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_BROKEN_LINKS,
+  EXIT_ERROR,
+  parseArgs,
+  main
+};
@@ -0,0 +1,114 @@
+// Deployment comparison: which pages of an old deployment (e.g. production) are
+// missing from a new one (e.g. a staging build). Outside sites and search engines
+// link to the old URLs, so each one needs a page or a redirect on the new site.
+//
+// The old site's page inventory comes from a crawl or a saved JSON report. Its
+// pages are mapped onto the new site by their path below the site root, given to
+// the new site's crawl as `previousPages`, and the crawl's `pageChanges` say what
+// became of them (see Crawler#findPageChanges).
+
+const fs = require('fs');
+const { normalizeBaseUrl } = require('./static-server');
+
+// Read a page inventory saved as a JSON report (--format json): { startUrl, pages }
+function loadInventory(file) {
+  let report;
+
+  try {
+    report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read inventory ${file}: ${error.message}`);
+  }
+
+  if (!report || typeof report.startUrl !== 'string' || !Array.isArray(report.pages)) {
+    throw new Error(`Inventory ${file} is not a JSON report (no startUrl or pages)`);
+  }
+
+  // JSON reports list pages as { url, depth, source }
+  return {
+    startUrl: report.startUrl,
+    pages: report.pages.map(page => (typeof page === 'string' ? page : page.url))
+  };
+}
+
+// The site root of a deployment: baseUrl on the start URL's host
+function siteRootOf(startUrl, baseUrl = '/') {
+  return new URL(normalizeBaseUrl(baseUrl), startUrl);
+}
+
+// The pages of a crawl result that loaded, as an inventory
+function inventoryOf(result) {
+  const broken = new Set(result.brokenLinks.map(link => link.url));
+  return {
+    startUrl: result.startUrl,
+    pages: result.pages.filter(url => !broken.has(url))
+  };
+}
+
+// The paths of an inventory's pages below the site root (baseUrl on the start
+// URL's host), as used by the client-redirects plugin: /docs/intro. Query strings
+// and fragments are dropped, and pages outside the site root are left out.
+function sitePaths(inventory, baseUrl = '/') {
+  const siteRoot = siteRootOf(inventory.startUrl, baseUrl);
+  const paths = new Set();
+
+  for (const url of inventory.pages) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      continue;
+    }
+
+    if (parsed.origin !== siteRoot.origin || !parsed.pathname.startsWith(siteRoot.pathname)) continue;
+    paths.add(`/${parsed.pathname.substring(siteRoot.pathname.length)}`);
+  }
+
+  return Array.from(paths).sort();
+}
+
+// The path of a URL below a site root
+function relativePath(url, siteRoot) {
+  const pathname = new URL(url).pathname;
+  return pathname.startsWith(siteRoot.pathname) ? `/${pathname.substring(siteRoot.pathname.length)}` : pathname;
+}
+
+// Redirects for the client-redirects plugin: every removed page (or "Page Not
+// Found" page) to its best suggested replacement, [{ from, to }] with `to` null
+// when there is no suggestion. Redirected pages are left out, since the new site
+// already redirects them. `startUrl` and `baseUrl` are the new site's.
+function clientRedirects(pageChanges, startUrl, baseUrl = '/') {
+  const siteRoot = siteRootOf(startUrl, baseUrl);
+
+  return pageChanges
+    .filter(change => change.change === 'removed' || change.change === 'soft-404')
+    .map(change => ({
+      from: change.path,
+      to: change.suggestions && change.suggestions.length > 0 ? relativePath(change.suggestions[0].url, siteRoot) : null
+    }));
+}
+
+// The redirects as the `redirects` option of @docusaurus/plugin-client-redirects,
+// ready to paste into docusaurus.config.js. Pages without a replacement are
+// commented out, to be filled in by hand.
+function formatClientRedirects(redirects) {
+  const quote = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  const lines = ['redirects: ['];
+
+  for (const { from, to } of redirects) {
+    lines.push(to
+      ? `  { from: ${quote(from)}, to: ${quote(to)} },`
+      : `  // { from: ${quote(from)}, to: '' }, // no replacement found`);
+  }
+
+  lines.push('],');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  loadInventory,
+  inventoryOf,
+  sitePaths,
+  clientRedirects,
+  formatClientRedirects
+};
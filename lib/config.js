@@ -0,0 +1,214 @@
+// Configuration loading. Settings are merged from (lowest to highest priority):
+//
+//   1. docusaurus.config.js (url, baseUrl, trailingSlash, i18n locales, docs versions
+//      and the site directory as sourceDir), when requested
+//   2. the project config file: .linkcrawlerrc.json, .linkcrawlerrc or linkcrawler.config.js
+//   3. command-line arguments
+//
+// A config file contains the same keys as the Crawler options, plus the CLI
+// settings (verbose, format, output, html, failThreshold, baseline, suggestionsFile,
+// saveInventory) and `docusaurusConfig`.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const CONFIG_FILE_NAMES = ['.linkcrawlerrc.json', '.linkcrawlerrc', 'linkcrawler.config.js'];
+
+const DOCUSAURUS_CONFIG_FILE_NAMES = ['docusaurus.config.js', 'docusaurus.config.mjs', 'docusaurus.config.cjs', 'docusaurus.config.ts'];
+
+// Settings holding file paths, resolved relative to the file that sets them
+const PATH_SETTINGS = ['buildDir', 'cacheFile', 'output', 'stateFile', 'baseline', 'caFile', 'sourceDir', 'suggestionsFile', 'html', 'saveInventory'];
+
+// Find the config file in a directory
+function findConfigFile(dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return file;
+  }
+
+  return null;
+}
+
+// Resolve relative path settings against the directory of the file they come from
+function resolvePaths(settings, dir) {
+  const resolved = { ...settings };
+
+  for (const key of PATH_SETTINGS) {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(dir, resolved[key]);
+    }
+  }
+
+  return resolved;
+}
+
+// Load a JSON or JavaScript config file. JavaScript files may export an object,
+// or a (possibly async) function returning one.
+async function loadConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  let config;
+
+  if (/\.(c|m)?js$/.test(file)) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    config = module.default !== undefined ? module.default : module;
+    if (typeof config === 'function') config = await config();
+  } else {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${file} must contain an object`);
+  }
+
+  return resolvePaths(config, path.dirname(path.resolve(file)));
+}
+
+// Read a top-level string or boolean property from config source code
+function matchProperty(source, name) {
+  const match = source.match(new RegExp(`\\b${name}\\s*:\\s*(?:'([^']*)'|"([^"]*)"|\`([^\`$]*)\`|(true|false)\\b)`));
+  if (!match) return undefined;
+  if (match[4] !== undefined) return match[4] === 'true';
+  return match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+}
+
+// Fallback for configs that can't be loaded here (TypeScript, or presets that are
+// not installed): pick the few settings we need out of the source text
+function parseDocusaurusConfigSource(source) {
+  const config = {
+    url: matchProperty(source, 'url'),
+    baseUrl: matchProperty(source, 'baseUrl'),
+    trailingSlash: matchProperty(source, 'trailingSlash')
+  };
+
+  const i18n = source.match(/\bi18n\s*:\s*\{([\s\S]*?)\}/);
+  if (i18n) {
+    const locales = i18n[1].match(/\blocales\s*:\s*\[([^\]]*)\]/);
+    config.i18n = {
+      defaultLocale: matchProperty(i18n[1], 'defaultLocale'),
+      locales: locales ? Array.from(locales[1].matchAll(/['"`]([^'"`]+)['"`]/g), match => match[1]) : undefined
+    };
+  }
+
+  return config;
+}
+
+// Read the settings that define a Docusaurus site's URL space from its config,
+// and the docs versions from the versions.json next to it. Resolves to
+// { siteUrl, baseUrl, trailingSlash, defaultLocale, locales, versions, sourceDir }
+// with only the keys the site defines; sourceDir is the site directory.
+async function loadDocusaurusConfig(file) {
+  let config;
+
+  try {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    config = module.default !== undefined ? module.default : module;
+    if (typeof config === 'function') config = await config();
+  } catch (error) {
+    config = parseDocusaurusConfigSource(fs.readFileSync(file, 'utf8'));
+  }
+
+  const settings = {};
+
+  if (config.url) settings.siteUrl = config.url;
+  if (config.baseUrl) settings.baseUrl = config.baseUrl;
+  if (typeof config.trailingSlash === 'boolean') settings.trailingSlash = config.trailingSlash;
+
+  if (config.i18n) {
+    if (config.i18n.defaultLocale) settings.defaultLocale = config.i18n.defaultLocale;
+    if (Array.isArray(config.i18n.locales)) settings.locales = config.i18n.locales;
+  }
+
+  const siteDir = path.dirname(path.resolve(file));
+  settings.sourceDir = siteDir;
+
+  const versionsFile = path.join(siteDir, 'versions.json');
+  if (fs.existsSync(versionsFile)) {
+    try {
+      settings.versions = JSON.parse(fs.readFileSync(versionsFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid versions file ${versionsFile}: ${error.message}`);
+    }
+  }
+
+  return settings;
+}
+
+// Find docusaurus.config.* in a directory
+function findDocusaurusConfig(dir) {
+  for (const name of DOCUSAURUS_CONFIG_FILE_NAMES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return file;
+  }
+
+  return null;
+}
+
+// Merge all configuration sources. `overrides` are the command-line settings,
+// which may include `config` (config file path) and `docusaurusConfig` (path to
+// docusaurus.config.js, or true to look for it in `cwd`).
+async function loadConfig(overrides = {}, cwd = process.cwd()) {
+  const { config: configPath, ...cliSettings } = overrides;
+
+  const configFile = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+  const fileSettings = configFile ? await loadConfigFile(configFile) : {};
+
+  const docusaurusConfig = cliSettings.docusaurusConfig !== undefined
+    ? cliSettings.docusaurusConfig
+    : fileSettings.docusaurusConfig;
+
+  let siteSettings = {};
+
+  if (docusaurusConfig) {
+    const baseDir = cliSettings.docusaurusConfig !== undefined || !configFile ? cwd : path.dirname(configFile);
+    const docusaurusFile = docusaurusConfig === true
+      ? findDocusaurusConfig(baseDir)
+      : path.resolve(baseDir, docusaurusConfig);
+
+    if (!docusaurusFile || !fs.existsSync(docusaurusFile)) {
+      throw new Error(`Docusaurus config not found: ${docusaurusFile || path.join(baseDir, 'docusaurus.config.js')}`);
+    }
+
+    siteSettings = await loadDocusaurusConfig(docusaurusFile);
+  }
+
+  // A URL and a build directory exclude each other, so the one given with the
+  // highest priority wins
+  const layers = [siteSettings, fileSettings, cliSettings];
+  for (let i = layers.length - 1; i > 0; i--) {
+    if (layers[i].url !== undefined || layers[i].buildDir !== undefined) {
+      for (let j = 0; j < i; j++) {
+        const { url, buildDir, ...rest } = layers[j];
+        layers[j] = rest;
+      }
+      break;
+    }
+  }
+
+  const settings = Object.assign({}, ...layers);
+  const siteUrl = settings.siteUrl;
+  delete settings.siteUrl;
+  delete settings.docusaurusConfig;
+
+  // Without a URL or build directory, crawl the site the Docusaurus config describes
+  if (!settings.url && !settings.buildDir && siteUrl) {
+    settings.url = new URL(settings.baseUrl || '/', siteUrl).href;
+  }
+
+  return { settings, configFile };
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  findConfigFile,
+  loadConfigFile,
+  loadDocusaurusConfig,
+  loadConfig
+};
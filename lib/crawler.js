@@ -0,0 +1,1704 @@
+// The crawler engine. A Crawler holds all the state of one crawl, so several
+// crawls can run independently in the same process:
+//
+//   const { Crawler } = require('docusaurus-link-crawler');
+//   const crawler = new Crawler({ url: 'http://localhost:3000/' });
+//   crawler.on('brokenLink', link => console.log(link.url, link.reason));
+//   const result = await crawler.crawl();
+//
+// crawler.stop() ends a crawl early: pages in progress are finished, the rest of
+// the queue is left for --resume, and crawl() resolves to the partial result.
+//
+// Events:
+//   start      ({ startUrl })                   the crawl is about to begin
+//   pageStart  (url, { depth, source })         a worker started processing a page
+//   page       ({ url, depth, source, links, assets, brokenLinks })
+//                                               a page and all its links were checked
+//   brokenLink (brokenLink)                     a broken link was found
+//   redirect   (redirectedLink)                 a working link goes through redirects worth fixing
+//   crossLink  (crossLink)                      a link unexpectedly leads to another locale or docs version
+//   trailingSlash (trailingSlashLink)           a link doesn't follow the site's trailingSlash setting
+//   progress   ({ pagesProcessed, pagesDone, pending, active, brokenLinks, requests,
+//                 requestsPerSecond, elapsed, eta })   see getProgress()
+//   log        (message)                        informational message
+//   debug      (message)                        diagnostics, only with the `debug` option
+
+const fs = require('fs');
+const cheerio = require('cheerio');
+const EventEmitter = require('events');
+const { sleep, createWorkerPool, createRateLimiter } = require('./scheduler');
+const { createLinkCache } = require('./link-cache');
+const { startStaticServer, normalizeBaseUrl } = require('./static-server');
+const { loadSitemap, findOrphans } = require('./sitemap');
+const { createUrlFilter, defaultBasePath, isUnderBasePath } = require('./scope');
+const { BLOCKED_RESOURCE_TYPES, findChrome, launchBrowser, createPagePool, renderPage } = require('./browser');
+const { createTransport } = require('./transport');
+const { createSectionClassifier } = require('./sections');
+const { createSourceMap } = require('./source-map');
+const { createSuggester } = require('./suggestions');
+const { DEFAULT_CANONICAL_RULES, createCanonicalizer, trailingSlashFix } = require('./canonical');
+const { checkPaginationOrder, checkPaginationReciprocity } = require('./navigation');
+const { createNotFoundDetector } = require('./not-found');
+const { DEFAULT_STATE_FILE, readState, writeState, removeState, rebaseState } = require('./state');
+const {
+  FAILURE_CLASSES,
+  RETRY_STATUSES,
+  classifyError,
+  classifyStatus,
+  isTransientError,
+  backoffDelay,
+  parseRetryAfter
+} = require('./retry');
+const {
+  isSameDomain,
+  extractAnchors,
+  extractLinks,
+  extractEditUrl,
+  extractTitle,
+  extractContentDigest,
+  extractAssets,
+  splitFragment,
+  hasAnchor,
+  isHtmlResponse
+} = require('./links');
+
+// Minimum time between two checkpoints of the crawl state, in milliseconds
+const CHECKPOINT_INTERVAL = 5000;
+
+const DEFAULT_OPTIONS = {
+  url: null,
+  usePuppeteer: false,
+  debug: false,
+  concurrency: 5,
+  rateLimit: 0,
+  cacheFile: null,
+  cacheTtl: 3600,
+  checkExternal: false,
+  externalRateLimit: 2,
+  externalAllow: [],
+  externalDeny: [],
+  buildDir: null,
+  baseUrl: '/',
+  trailingSlash: undefined,
+  canonicalize: DEFAULT_CANONICAL_RULES,
+  port: 0,
+  sitemap: false,
+  sitemapUrl: null,
+  maxRedirects: 10,
+  redirectChainLimit: 2,
+  checkAssets: false,
+  timeout: 10000,
+  linkTimeout: 5000,
+  userAgent: 'Mozilla/5.0 DevSite Link Checker',
+  auth: null,
+  bearerToken: null,
+  headers: {},
+  cookies: [],
+  proxy: null,
+  caFile: null,
+  insecure: false,
+  retries: 2,
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+  warnOn: [],
+  notFoundDetectors: null,
+  notFoundSelectors: [],
+  notFoundPatterns: [],
+  locales: [],
+  defaultLocale: null,
+  versions: [],
+  docsPath: 'docs',
+  sourceDir: null,
+  crawlInclude: [],
+  crawlExclude: [],
+  checkInclude: [],
+  checkExclude: [],
+  basePath: null,
+  maxDepth: null,
+  maxPages: null,
+  stateFile: null,
+  resume: false,
+  previousPages: null
+};
+
+// Apply defaults and reject invalid options
+function normalizeOptions(options) {
+  const normalized = { ...DEFAULT_OPTIONS, ...options };
+
+  if (normalized.sitemapUrl) normalized.sitemap = true;
+  if (normalized.resume && !normalized.stateFile) normalized.stateFile = DEFAULT_STATE_FILE;
+  if (!normalized.defaultLocale && Array.isArray(normalized.locales) && normalized.locales.length > 0) {
+    normalized.defaultLocale = normalized.locales[0];
+  }
+
+  if (!normalized.url && !normalized.buildDir) {
+    throw new Error('A URL or a build directory is required.');
+  }
+  if (normalized.url && normalized.buildDir) {
+    throw new Error('Use either a URL or a build directory, not both.');
+  }
+  if (normalized.url && !isHttpUrl(normalized.url)) {
+    throw new Error(`url must be an absolute http or https URL: ${normalized.url}`);
+  }
+  if (normalized.trailingSlash !== undefined && typeof normalized.trailingSlash !== 'boolean') {
+    throw new Error('trailingSlash must be true or false.');
+  }
+  if (!Array.isArray(normalized.canonicalize)) {
+    throw new Error('canonicalize must be an array of canonicalization rules.');
+  }
+  if (!Number.isInteger(normalized.port) || normalized.port < 0 || normalized.port > 65535) {
+    throw new Error('port must be a valid port number.');
+  }
+  if (!Number.isInteger(normalized.concurrency) || normalized.concurrency < 1) {
+    throw new Error('concurrency must be a positive integer.');
+  }
+  if (Number.isNaN(normalized.rateLimit) || normalized.rateLimit < 0) {
+    throw new Error('rateLimit must be a non-negative number of requests per second.');
+  }
+  if (Number.isNaN(normalized.externalRateLimit) || normalized.externalRateLimit < 0) {
+    throw new Error('externalRateLimit must be a non-negative number of requests per second.');
+  }
+  if (Number.isNaN(normalized.cacheTtl) || normalized.cacheTtl < 0) {
+    throw new Error('cacheTtl must be a non-negative number of seconds.');
+  }
+  if (!Number.isInteger(normalized.timeout) || normalized.timeout < 1) {
+    throw new Error('timeout must be a positive number of milliseconds.');
+  }
+  if (!Number.isInteger(normalized.linkTimeout) || normalized.linkTimeout < 1) {
+    throw new Error('linkTimeout must be a positive number of milliseconds.');
+  }
+  if (!Number.isInteger(normalized.retries) || normalized.retries < 0) {
+    throw new Error('retries must be a non-negative integer.');
+  }
+  if (!Number.isInteger(normalized.retryDelay) || normalized.retryDelay < 0) {
+    throw new Error('retryDelay must be a non-negative number of milliseconds.');
+  }
+  if (!Number.isInteger(normalized.maxRetryDelay) || normalized.maxRetryDelay < 0) {
+    throw new Error('maxRetryDelay must be a non-negative number of milliseconds.');
+  }
+  if (!Array.isArray(normalized.warnOn)) {
+    throw new Error('warnOn must be an array of failure classes.');
+  }
+  for (const failure of normalized.warnOn) {
+    if (!FAILURE_CLASSES.includes(failure)) {
+      throw new Error(`Unknown failure class: ${failure}. Failure classes are: ${FAILURE_CLASSES.join(', ')}.`);
+    }
+  }
+  for (const key of ['notFoundSelectors', 'notFoundPatterns']) {
+    if (!Array.isArray(normalized[key])) {
+      throw new Error(`${key} must be an array.`);
+    }
+  }
+  if (normalized.notFoundDetectors !== null && !Array.isArray(normalized.notFoundDetectors)) {
+    throw new Error('notFoundDetectors must be an array.');
+  }
+  if (!Number.isInteger(normalized.maxRedirects) || normalized.maxRedirects < 1) {
+    throw new Error('maxRedirects must be a positive integer.');
+  }
+  if (!Number.isInteger(normalized.redirectChainLimit) || normalized.redirectChainLimit < 0) {
+    throw new Error('redirectChainLimit must be a non-negative integer.');
+  }
+  if (!Array.isArray(normalized.locales)) {
+    throw new Error('locales must be an array of locale names.');
+  }
+  if (!Array.isArray(normalized.versions)) {
+    throw new Error('versions must be an array of docs version names, latest first.');
+  }
+  if (typeof normalized.docsPath !== 'string' || normalized.docsPath === '') {
+    throw new Error('docsPath must be the route base path of the docs.');
+  }
+  if (normalized.sourceDir !== null && (typeof normalized.sourceDir !== 'string' ||
+      !fs.existsSync(normalized.sourceDir) || !fs.statSync(normalized.sourceDir).isDirectory())) {
+    throw new Error(`sourceDir must be an existing directory: ${normalized.sourceDir}`);
+  }
+  for (const key of ['crawlInclude', 'crawlExclude', 'checkInclude', 'checkExclude']) {
+    if (!Array.isArray(normalized[key])) {
+      throw new Error(`${key} must be an array of patterns.`);
+    }
+  }
+  if (normalized.maxDepth !== null && (!Number.isInteger(normalized.maxDepth) || normalized.maxDepth < 0)) {
+    throw new Error('maxDepth must be a non-negative integer.');
+  }
+  if (normalized.maxPages !== null && (!Number.isInteger(normalized.maxPages) || normalized.maxPages < 1)) {
+    throw new Error('maxPages must be a positive integer.');
+  }
+  if (normalized.previousPages !== null && (!Array.isArray(normalized.previousPages) ||
+      normalized.previousPages.some(page => typeof page !== 'string' || !page.startsWith('/')))) {
+    throw new Error('previousPages must be an array of paths relative to the site root, like /docs/intro.');
+  }
+
+  normalized.externalAllow = normalized.externalAllow.map(domain => domain.toLowerCase());
+  normalized.externalDeny = normalized.externalDeny.map(domain => domain.toLowerCase());
+  return normalized;
+}
+
+// Check if a string is an absolute http(s) URL
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check if a host matches one of the given domains (subdomains included)
+function matchesDomain(url, domains) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a redirect hop from one URL to the next: a loop (back to a URL in `seen`),
+// a redirect from HTTPS to HTTP, or more than maxRedirects hops (`hops` counts
+// this one, so the last allowed hop is still followed). Returns the error or null.
+function redirectError(fromUrl, toUrl, hops, seen, maxRedirects) {
+  if (seen.has(toUrl)) return `Redirect loop at ${toUrl}`;
+  if (fromUrl.startsWith('https:') && toUrl.startsWith('http:')) return `Redirect from HTTPS to HTTP (${toUrl})`;
+  if (hops > maxRedirects) return `More than ${maxRedirects} redirects`;
+  return null;
+}
+
+// Order two queue keys ([rank of the source page, position of the link])
+function compareKeys(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+class Crawler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = normalizeOptions(options);
+
+    // With buildDir, the start URL is known once the local server is up
+    this.startUrl = this.options.url;
+    this.visitedUrls = new Set();
+    this.pendingUrls = new Set(); // queued but not yet processed
+    this.activeUrls = new Set(); // being processed right now
+    this.pageInfo = new Map(); // depth and source page of every queued page
+    this.pageUrls = new Map(); // canonical URL → the URL the page is crawled under
+    this.queueLevels = new Map(); // depth → queued pages at that depth
+    this.queueKeys = new Map(); // queued page → where a sequential crawl would queue it
+    this.pageRanks = new Map(); // crawled page → the order it was crawled in
+    this.rootCount = 0; // pages queued without a source link
+    this.canonicalUrl = createCanonicalizer(this.options.canonicalize);
+    this.linkedPages = new Set(); // valid internal link targets, for orphan detection
+    this.sitemapUrls = null; // pages listed in the sitemap (with the sitemap option)
+    this.sitemapSeeded = false;
+    this.brokenLinks = {};
+    this.redirectedLinks = {}; // working links that go through redirects, by source page
+    this.crossLinks = {}; // links into another locale or docs version, by source page
+    this.trailingSlashLinks = {}; // links against the trailingSlash setting, by source page
+    this.pagination = {}; // prev/next links of every crawled page, by canonical page URL
+    this.navigationIssues = []; // pagination that doesn't follow the sidebar
+    this.missingTranslations = null; // pages without a counterpart in another locale
+    this.pageChanges = null; // what became of the previousPages
+    this.pagesProcessed = 0;
+    this.requestCount = 0;
+    this.startTime = null;
+    this.rateStart = null; // when this run started crawling, and the pages done before (resumed crawls)
+    this.started = false;
+    this.stopping = false;
+    this.lastCheckpoint = 0;
+
+    // Scope: which pages are crawled and which links are checked. The base path
+    // defaults to the start URL's directory, which is only known once crawling starts.
+    this.crawlFilter = createUrlFilter(this.options.crawlInclude, this.options.crawlExclude);
+    this.checkFilter = createUrlFilter(this.options.checkInclude, this.options.checkExclude);
+    this.basePath = null;
+    this.pageLimitReached = false;
+
+    // Locales and docs versions, known once the start URL is
+    this.sections = null;
+
+    // Markdown/MDX source files of the pages (the sourceDir option)
+    this.sourceMap = null;
+
+    // Recognizes "Page Not Found" pages served with a 200 status
+    this.detectNotFound = createNotFoundDetector({
+      detectors: this.options.notFoundDetectors,
+      selectors: this.options.notFoundSelectors,
+      patterns: this.options.notFoundPatterns
+    });
+
+    // Concurrency: pages are processed by a pool of workers, while every request
+    // (page fetches and link checks) goes through a separate, equally sized pool
+    // so that link checks never wait on the page workers that spawned them.
+    this.pagePool = createWorkerPool(this.options.concurrency);
+    this.requestPool = createWorkerPool(this.options.concurrency);
+    this.rateLimiter = createRateLimiter(this.options.rateLimit);
+    this.externalRateLimiter = createRateLimiter(this.options.externalRateLimit);
+
+    // Every HTTP request and Puppeteer page goes through the transport, which
+    // validates the auth, header, cookie, proxy and TLS options
+    this.transport = createTransport({
+      userAgent: this.options.userAgent,
+      auth: this.options.auth,
+      bearerToken: this.options.bearerToken,
+      headers: this.options.headers,
+      cookies: this.options.cookies,
+      proxy: this.options.proxy,
+      caFile: this.options.caFile,
+      insecure: this.options.insecure
+    });
+
+    // Results of fetching each URL, shared by link checks and page processing
+    this.linkCache = createLinkCache({ file: this.options.cacheFile, ttl: this.options.cacheTtl });
+
+    // Puppeteer, its pool of reusable tabs and the local server for buildDir mode
+    this.browser = null;
+    this.tabPool = null;
+    this.puppeteerAvailable = false;
+    this.staticServer = null;
+  }
+
+  log(message) {
+    this.emit('log', message);
+  }
+
+  logDebug(message) {
+    if (this.options.debug) this.emit('debug', message);
+  }
+
+  // Initialize Puppeteer if available
+  async initPuppeteer() {
+    if (!this.options.usePuppeteer) {
+      this.logDebug('Using basic HTTP mode (no JavaScript)');
+      return false;
+    }
+
+    try {
+      const chromePath = await findChrome();
+
+      if (!chromePath) {
+        this.log('Could not find Chrome installation. Using basic HTTP mode.');
+        return false;
+      }
+
+      this.logDebug(`Found Chrome at: ${chromePath}`);
+      this.log('Launching browser with JavaScript support...');
+
+      this.browser = await launchBrowser(chromePath, this.transport.browserOptions());
+      this.tabPool = createPagePool(this.browser, {
+        size: this.options.concurrency,
+        setupPage: page => this.transport.preparePage(page, BLOCKED_RESOURCE_TYPES)
+      });
+
+      this.log('Browser launched successfully.');
+      return true;
+    } catch (error) {
+      this.log(`Failed to initialize browser: ${error.message}`);
+      this.log('Using basic HTTP mode instead.');
+      return false;
+    }
+  }
+
+  // Run a request through the shared request pool, honouring the per-host rate limit.
+  // The request waits for its host's turn before it takes a slot in the pool, so
+  // requests to a slow, rate-limited host don't hold up the others.
+  async scheduleRequest(url, request, limiter = this.rateLimiter) {
+    let host = '';
+    try {
+      host = new URL(url).host;
+    } catch (e) {
+      // Invalid URLs share a single bucket
+    }
+
+    await limiter.wait(host);
+    return this.requestPool.run(() => {
+      this.requestCount++;
+      return request();
+    });
+  }
+
+  // Send a single request, retrying transient failures: dropped connections and
+  // timeouts, and the statuses in RETRY_STATUSES. Attempts back off exponentially
+  // with jitter, or wait as long as a Retry-After header asks, never longer than
+  // maxRetryDelay.
+  // The request slot is released while waiting. After the last attempt the error
+  // is thrown or the response returned as is.
+  async sendRequest(url, config, limiter, retries) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+
+      try {
+        response = await this.scheduleRequest(url, () => this.transport.request({
+          ...config,
+          url: url,
+          maxRedirects: 0,
+          validateStatus: status => true // Accept any status code
+        }), limiter);
+      } catch (error) {
+        if (attempt >= retries || !isTransientError(error)) throw error;
+
+        const delay = Math.min(backoffDelay(attempt, this.options.retryDelay), this.options.maxRetryDelay);
+        this.logDebug(`${error.message} for ${url}, retrying in ${delay}ms (attempt ${attempt + 2} of ${retries + 1})`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (attempt >= retries || !RETRY_STATUSES.includes(response.status)) return response;
+
+      if (response.data && response.data.destroy) response.data.destroy();
+
+      const retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+      const delay = Math.min(retryAfter !== null ? retryAfter : backoffDelay(attempt, this.options.retryDelay), this.options.maxRetryDelay);
+      this.logDebug(`HTTP ${response.status} for ${url}, retrying in ${delay}ms (attempt ${attempt + 2} of ${retries + 1})`);
+      await sleep(delay);
+    }
+  }
+
+  // Send a request and follow redirects one hop at a time so every hop is recorded.
+  // Resolves to { response, finalUrl, redirects, error }: redirects lists each hop
+  // as { url, status, location }, and error describes a redirect loop, a redirect
+  // from HTTPS to HTTP or a chain longer than maxRedirects (response is then the
+  // last redirect). Network errors reject once the retries are used up.
+  async requestWithRedirects(url, config, limiter, retries = this.options.retries) {
+    const redirects = [];
+    const seen = new Set([url]);
+    let currentUrl = url;
+
+    for (;;) {
+      const response = await this.sendRequest(currentUrl, config, limiter, retries);
+
+      const location = response.headers && response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { response, finalUrl: currentUrl, redirects, error: null };
+      }
+
+      // Only the Location header of a redirect is needed
+      if (response.data && response.data.destroy) response.data.destroy();
+
+      const nextUrl = new URL(location, currentUrl).href;
+      redirects.push({ url: currentUrl, status: response.status, location: location });
+
+      const error = redirectError(currentUrl, nextUrl, redirects.length, seen, this.options.maxRedirects);
+      if (error) {
+        this.logDebug(`${error} while requesting ${url}`);
+        return { response, finalUrl: nextUrl, redirects, error };
+      }
+
+      seen.add(nextUrl);
+      currentUrl = nextUrl;
+    }
+  }
+
+  // Fetch a page and describe it for the link cache: HTTP status, the reason it is
+  // broken (empty when it is fine), the final URL and the redirects that led there,
+  // its anchors (null when they can't be determined) and the links it contains.
+  // "Page Not Found" pages also record the name of the detector that recognized them.
+  // With `check`, Puppeteer only finds out whether the page exists and leaves links
+  // null, so processPage renders the page in full if it is crawled after all.
+  async fetchPage(url, check = false) {
+    // Try Puppeteer first if available
+    if (this.puppeteerAvailable) {
+      this.logDebug(`Loading with Puppeteer: ${url}`);
+      const puppeteerResult = await this.scheduleRequest(url, () => renderPage(this.tabPool, url, {
+        check: check,
+        debug: this.options.debug,
+        log: message => this.logDebug(message),
+        detectNotFound: html => this.detectNotFound(cheerio.load(html), url),
+        assets: this.options.checkAssets
+      }));
+
+      if (puppeteerResult.success) {
+        const entry = {
+          status: puppeteerResult.status,
+          reason: '',
+          finalUrl: puppeteerResult.finalUrl,
+          redirects: puppeteerResult.redirects || [],
+          anchors: puppeteerResult.anchors || null,
+          links: puppeteerResult.links,
+          assets: puppeteerResult.assets || [],
+          editUrl: puppeteerResult.editUrl || null,
+          title: puppeteerResult.title || null,
+          contentDigest: puppeteerResult.contentDigest || null
+        };
+
+        // Chrome follows redirects by itself, so the chain it took is checked
+        // afterwards like requestWithRedirects checks every hop
+        const seen = new Set();
+        entry.redirects.forEach((redirect, index) => {
+          const nextUrl = index + 1 < entry.redirects.length ? entry.redirects[index + 1].url : entry.finalUrl;
+          seen.add(redirect.url);
+          if (!entry.reason) entry.reason = redirectError(redirect.url, nextUrl, index + 1, seen, this.options.maxRedirects) || '';
+        });
+
+        if (entry.reason) {
+          this.logDebug(`${entry.reason} while loading ${url}`);
+          entry.failure = 'redirect';
+        } else if (puppeteerResult.status >= 400) {
+          entry.reason = `HTTP ${puppeteerResult.status}`;
+          entry.failure = classifyStatus(puppeteerResult.status);
+        } else if (puppeteerResult.notFound) {
+          entry.reason = 'Page Not Found message in content';
+          entry.failure = 'soft-404';
+          entry.detector = puppeteerResult.notFound;
+        }
+
+        return entry;
+      }
+
+      this.logDebug('Puppeteer method failed. Falling back to standard HTTP...');
+    }
+
+    // If Puppeteer is not available or failed, use standard HTTP
+    try {
+      this.logDebug(`Fetching with HTTP: ${url}`);
+      const { response, finalUrl, redirects, error } = await this.requestWithRedirects(url, {
+        method: 'get',
+        timeout: this.options.timeout
+      });
+
+      const entry = {
+        status: response.status,
+        reason: '',
+        finalUrl: finalUrl,
+        redirects: redirects,
+        anchors: null,
+        links: [],
+        assets: []
+      };
+
+      if (error) {
+        entry.reason = error;
+        entry.failure = 'redirect';
+      } else if (response.status !== 200) {
+        entry.reason = `HTTP ${response.status}`;
+        entry.failure = classifyStatus(response.status);
+      } else if (isHtmlResponse(response)) {
+        // Parse the HTML with cheerio
+        const $ = cheerio.load(response.data);
+        const detector = this.detectNotFound($, url);
+
+        if (detector) {
+          // A 404 that returns 200
+          this.logDebug(`Found "Page Not Found" content in ${url} (${detector})`);
+          entry.reason = 'Page Not Found message in content';
+          entry.failure = 'soft-404';
+          entry.detector = detector;
+        } else {
+          entry.anchors = extractAnchors($);
+          entry.links = extractLinks($, entry.finalUrl);
+          entry.editUrl = extractEditUrl($, entry.finalUrl);
+          entry.title = extractTitle($);
+          entry.contentDigest = extractContentDigest($);
+          if (this.options.checkAssets) entry.assets = extractAssets($, entry.finalUrl);
+        }
+      }
+
+      return entry;
+    } catch (error) {
+      return { status: null, reason: `Error: ${error.message}`, failure: classifyError(error), finalUrl: url, anchors: null, links: [] };
+    }
+  }
+
+  // Decide whether an external link should be checked (checkExternal, allow/deny lists)
+  shouldCheckExternal(url) {
+    const { checkExternal, externalAllow, externalDeny } = this.options;
+
+    if (!checkExternal || !/^https?:/i.test(url)) return false;
+    if (externalAllow.length > 0 && !matchesDomain(url, externalAllow)) return false;
+    return !matchesDomain(url, externalDeny);
+  }
+
+  // Check a URL without crawling it (external links and assets): probe with HEAD and
+  // fall back to GET when the server rejects HEAD. Only the status is needed, so
+  // bodies are not read. The links are unknown, so if the URL turns out to be a page
+  // that should be crawled, processPage fetches it in full. Failures are only
+  // retried on the GET request, since a failed HEAD is followed by a GET anyway.
+  async probeUrl(url, limiter) {
+    const request = async (method, retries) => {
+      const result = await this.requestWithRedirects(url, {
+        method: method,
+        timeout: this.options.linkTimeout,
+        responseType: 'stream'
+      }, limiter, retries);
+
+      const response = result.response;
+      if (response.data && response.data.destroy) response.data.destroy();
+      return result;
+    };
+
+    let result;
+
+    try {
+      result = await request('head', 0);
+    } catch (error) {
+      this.logDebug(`HEAD request failed for ${url} (${error.message}), retrying with GET`);
+    }
+
+    try {
+      if (!result || (!result.error && result.response.status >= 400)) {
+        if (result) this.logDebug(`HEAD returned ${result.response.status} for ${url}, retrying with GET`);
+        result = await request('get', this.options.retries);
+      }
+    } catch (error) {
+      return {
+        status: null,
+        reason: `Error: ${error.message}`,
+        failure: classifyError(error),
+        finalUrl: url,
+        redirects: [],
+        anchors: null,
+        links: null
+      };
+    }
+
+    const status = result.response.status;
+    let reason = '';
+    let failure = null;
+    if (result.error) {
+      reason = result.error;
+      failure = 'redirect';
+    } else if (status < 200 || status >= 300) {
+      reason = `HTTP ${status}`;
+      failure = classifyStatus(status);
+    }
+
+    return {
+      status: status,
+      reason: reason,
+      failure: failure,
+      finalUrl: result.finalUrl,
+      redirects: result.redirects,
+      anchors: null,
+      links: null
+    };
+  }
+
+  // Check a single link found on a page. Returns the broken link record (or null),
+  // the redirected link record for working links worth updating (or null), the
+  // cross link record for links into another locale or docs version (or null), the
+  // trailing slash record for links against the trailingSlash setting (or null) and
+  // the page to crawl next when the link points to a valid internal page.
+  // Assets (links with an element `type`) are probed and never crawled.
+  async checkLink(link, pageUrl) {
+    const result = { brokenLink: null, redirectedLink: null, crossLink: null, trailingSlashLink: null, newPage: null };
+
+    // Skip non-HTTP links
+    if (!link.url ||
+        link.url.startsWith('javascript:') ||
+        link.url.startsWith('mailto:') ||
+        link.url.startsWith('tel:')) {
+      return result;
+    }
+
+    // Links excluded from checking are ignored entirely
+    if (!this.checkFilter(link.url)) {
+      return result;
+    }
+
+    // Links to other domains are only checked in checkExternal mode, and never crawled
+    const external = !isSameDomain(link.url, this.startUrl);
+    if (external && !this.shouldCheckExternal(link.url)) {
+      return result;
+    }
+
+    const asset = Boolean(link.type);
+
+    // The fragment is validated separately against the anchors of the target page
+    const { base: targetUrl, fragment } = splitFragment(link.url);
+    let reason = '';
+    let failure = null;
+    let detector = null;
+    let redirects = [];
+    let finalUrl = targetUrl;
+
+    try {
+      this.logDebug(`Testing ${external ? 'external ' : ''}${asset ? `${link.type} asset` : 'link'}: ${link.url}`);
+      const entry = await this.linkCache.lookup(targetUrl, () => {
+        if (external) return this.probeUrl(targetUrl, this.externalRateLimiter);
+        return asset ? this.probeUrl(targetUrl, this.rateLimiter) : this.fetchPage(targetUrl, !this.willCrawl(targetUrl, pageUrl));
+      });
+      reason = entry.reason;
+      failure = entry.failure || null;
+      detector = entry.detector || null;
+      redirects = entry.redirects || [];
+      finalUrl = entry.finalUrl || targetUrl;
+
+      if (!reason && !external && !asset) {
+        // Valid link - crawl it next
+        result.newPage = targetUrl;
+
+        // The target page loaded, now make sure the fragment exists on it
+        if (fragment && entry.anchors && !hasAnchor(entry.anchors, fragment)) {
+          reason = `Missing anchor #${fragment}`;
+          failure = 'anchor';
+        }
+      }
+    } catch (error) {
+      reason = `Error: ${error.message}`;
+      failure = classifyError(error);
+    }
+
+    // Record broken links. Failure classes listed in warnOn are reported as warnings.
+    if (reason) {
+      failure = failure || 'other';
+      result.brokenLink = {
+        url: link.url,
+        text: link.text,
+        reason: reason,
+        failure: failure,
+        severity: this.options.warnOn.includes(failure) ? 'warning' : 'error',
+        sourcePage: pageUrl,
+        external: external,
+        ...this.sectionOf(pageUrl)
+      };
+
+      // The theme region the link is in (navbar, sidebar, ...), see lib/navigation.js
+      if (link.region) result.brokenLink.region = link.region;
+
+      // Which not-found detector recognized the target page
+      if (detector) result.brokenLink.detector = detector;
+      if (asset) result.brokenLink.type = link.type;
+
+      this.emit('brokenLink', result.brokenLink);
+    } else if (redirects.length > 0) {
+      // Working links that go through redirects: internal ones should be updated to
+      // the final URL (e.g. after a slug change), and long chains slow down readers
+      const warnings = [];
+      if (!external) warnings.push('Internal link is redirected');
+      if (redirects.length > this.options.redirectChainLimit) warnings.push(`Redirect chain of ${redirects.length} hops`);
+
+      if (warnings.length > 0) {
+        result.redirectedLink = {
+          url: link.url,
+          text: link.text,
+          sourcePage: pageUrl,
+          external: external,
+          redirects: redirects,
+          finalUrl: finalUrl,
+          suggestion: fragment ? `${finalUrl}#${fragment}` : finalUrl,
+          warnings: warnings
+        };
+
+        if (asset) result.redirectedLink.type = link.type;
+        if (link.region) result.redirectedLink.region = link.region;
+
+        this.emit('redirect', result.redirectedLink);
+      }
+    }
+
+    // Working internal links that leave the locale or docs version of their page
+    if (result.newPage && !reason && this.sections && this.sections.enabled) {
+      const crossing = this.sections.crossing(pageUrl, finalUrl);
+
+      if (crossing) {
+        result.crossLink = {
+          url: link.url,
+          text: link.text,
+          sourcePage: pageUrl,
+          ...crossing
+        };
+
+        this.emit('crossLink', result.crossLink);
+      }
+    }
+
+    // Working internal links that don't follow the site's trailingSlash setting,
+    // which costs a redirect on hosts like GitHub Pages
+    if (result.newPage && !reason && this.options.trailingSlash !== undefined) {
+      const suggestion = trailingSlashFix(link.url, this.getSiteRoot(), this.options.trailingSlash);
+
+      if (suggestion) {
+        result.trailingSlashLink = {
+          url: link.url,
+          text: link.text,
+          sourcePage: pageUrl,
+          trailingSlash: this.options.trailingSlash,
+          suggestion: suggestion
+        };
+
+        this.emit('trailingSlash', result.trailingSlashLink);
+      }
+    }
+
+    return result;
+  }
+
+  // Locale and docs version of a page, for grouping results. Empty for sites
+  // without locales or versions.
+  sectionOf(url) {
+    const section = this.sections && this.sections.enabled ? this.sections.classify(url) : null;
+    if (!section) return {};
+
+    const fields = {};
+    if (this.sections.locales.length > 1) fields.locale = section.locale;
+    if (section.version) fields.version = section.version;
+    return fields;
+  }
+
+  // Where a link is written in the source files (see lib/source-map.js), using the
+  // "Edit this page" link of its page when there is one. Links in the navbar,
+  // sidebar, footer and the other theme regions come from the site config, not
+  // from the page's Markdown. Links outside all regions ('other', on pages
+  // without the theme's markup) are looked up like body links.
+  sourceOf(link) {
+    if (link.region && link.region !== 'body' && link.region !== 'other') return null;
+
+    const entry = this.linkCache.get(splitFragment(link.sourcePage).base);
+    return this.sourceMap.locate(link, link.sourcePage, entry && entry.editUrl);
+  }
+
+  // Attach "did you mean" suggestions (see lib/suggestions.js) to broken internal
+  // links to pages that don't exist. Candidates are the crawled pages that loaded,
+  // known by their final URL and the URLs that redirect to them.
+  addSuggestions(brokenLinks, redirectedLinks) {
+    const targets = brokenLinks.filter(link => !link.external && !link.type && ['4xx', 'soft-404'].includes(link.failure));
+    if (targets.length === 0) return;
+
+    const pages = new Map();
+    const pageFor = url => {
+      if (!pages.has(url)) pages.set(url, { url: url, title: null, anchors: null, aliases: [] });
+      return pages.get(url);
+    };
+
+    for (const url of this.visitedUrls) {
+      const entry = this.linkCache.get(url);
+      if (!entry || entry.reason || !entry.anchors) continue;
+
+      const page = pageFor(entry.finalUrl || url);
+      page.title = entry.title || null;
+      page.anchors = entry.anchors;
+      if (entry.finalUrl && entry.finalUrl !== url) page.aliases.push(url);
+    }
+
+    for (const link of redirectedLinks) {
+      const { base: finalUrl } = splitFragment(link.finalUrl);
+      if (!link.external && pages.has(finalUrl)) pageFor(finalUrl).aliases.push(splitFragment(link.url).base);
+    }
+
+    // Stay in the locale and docs version the broken link points into
+    const sameSection = (a, b) => {
+      if (!this.sections || !this.sections.enabled) return true;
+
+      const sectionA = this.sections.classify(a);
+      const sectionB = this.sections.classify(b);
+      return !sectionA || !sectionB || (sectionA.locale === sectionB.locale && sectionA.version === sectionB.version);
+    };
+
+    const suggester = createSuggester(Array.from(pages.values()), { sameSection: sameSection });
+    for (const link of targets) {
+      const suggestions = suggester.suggest(link);
+      if (suggestions.length > 0) link.suggestions = suggestions;
+    }
+  }
+
+  // Process a page and find links (hybrid approach)
+  async processPage(pageUrl) {
+    this.logDebug(`Processing page: ${pageUrl}`);
+
+    // Most pages were already fetched when the link pointing to them was checked.
+    // Entries without the page's links (from a check with Puppeteer, which only
+    // finds out whether the page exists) don't count, the page is fetched in full.
+    const { base: pageBase } = splitFragment(pageUrl);
+    const cached = this.linkCache.get(pageBase);
+    if (cached && !cached.links) this.linkCache.delete(pageBase);
+
+    let entry = await this.linkCache.lookup(pageBase, () => this.fetchPage(pageBase));
+
+    // A check that was still in progress
+    if (!entry.links) {
+      this.linkCache.delete(pageBase);
+      entry = await this.linkCache.lookup(pageBase, () => this.fetchPage(pageBase));
+    }
+
+    const { depth, source } = this.pageInfo.get(pageUrl);
+
+    // If this is a "Page Not Found" or error page, skip processing links
+    if (entry.reason) {
+      this.logDebug(`Skipping ${pageUrl}: ${entry.reason}`);
+
+      // No link leads to the start page (or a locale root), so it is reported as
+      // broken itself, found on [start page]
+      const brokenLinksOnPage = [];
+      if (source === null) {
+        const failure = entry.failure || 'other';
+        brokenLinksOnPage.push({
+          url: pageUrl,
+          text: '[start page]',
+          reason: entry.reason,
+          failure: failure,
+          severity: this.options.warnOn.includes(failure) ? 'warning' : 'error',
+          sourcePage: pageUrl,
+          external: false,
+          ...this.sectionOf(pageUrl)
+        });
+        if (entry.detector) brokenLinksOnPage[0].detector = entry.detector;
+
+        this.brokenLinks[pageUrl] = brokenLinksOnPage;
+        this.emit('brokenLink', brokenLinksOnPage[0]);
+      }
+
+      this.emit('page', { url: pageUrl, depth: depth, source: source, links: 0, assets: 0, brokenLinks: brokenLinksOnPage });
+      return;
+    }
+
+    const links = entry.links;
+    const assets = entry.assets || [];
+    const targets = links.concat(assets);
+    this.logDebug(`Found ${links.length} links${this.options.checkAssets ? ` and ${assets.length} assets` : ''} on page ${pageUrl}`);
+
+    // Check all the links concurrently; the shared request pool bounds the load.
+    // Results are collected in link order so the report matches a sequential run.
+    let checked = 0;
+    const results = await Promise.all(targets.map(async link => {
+      const result = await this.checkLink(link, pageUrl);
+      checked++;
+
+      if (checked % 10 === 0 || checked === targets.length) {
+        const percentage = Math.round((checked / targets.length) * 100);
+        this.logDebug(`Checked link ${checked}/${targets.length} (${percentage}%)`);
+      }
+
+      return result;
+    }));
+
+    const brokenLinksOnPage = [];
+    const redirectedLinksOnPage = [];
+    const crossLinksOnPage = [];
+    const trailingSlashLinksOnPage = [];
+
+    for (const [position, result] of results.entries()) {
+      if (result.brokenLink) brokenLinksOnPage.push(result.brokenLink);
+      if (result.redirectedLink) redirectedLinksOnPage.push(result.redirectedLink);
+      if (result.crossLink) crossLinksOnPage.push(result.crossLink);
+      if (result.trailingSlashLink) trailingSlashLinksOnPage.push(result.trailingSlashLink);
+
+      // Add new pages to the queue
+      if (result.newPage) {
+        this.linkedPages.add(result.newPage);
+        this.enqueuePage(result.newPage, depth + 1, pageUrl, position);
+      }
+    }
+
+    // Save broken links for the page
+    if (brokenLinksOnPage.length > 0) {
+      this.brokenLinks[pageUrl] = brokenLinksOnPage;
+    }
+
+    if (redirectedLinksOnPage.length > 0) {
+      this.redirectedLinks[pageUrl] = redirectedLinksOnPage;
+    }
+
+    if (crossLinksOnPage.length > 0) {
+      this.crossLinks[pageUrl] = crossLinksOnPage;
+    }
+
+    if (trailingSlashLinksOnPage.length > 0) {
+      this.trailingSlashLinks[pageUrl] = trailingSlashLinksOnPage;
+    }
+
+    this.recordNavigation(pageUrl, entry);
+
+    this.emit('page', { url: pageUrl, depth: depth, source: source, links: links.length, assets: assets.length, brokenLinks: brokenLinksOnPage });
+  }
+
+  // Record the prev/next pagination links of a page, and check its "Next" link
+  // against the order of its sidebar. Links are compared by the canonical form of
+  // the page they lead to, after redirects.
+  recordNavigation(pageUrl, entry) {
+    const resolve = url => {
+      const target = this.linkCache.get(splitFragment(url).base);
+      return this.canonicalUrl(target && !target.reason && target.finalUrl ? target.finalUrl : url);
+    };
+
+    const prev = entry.links.find(link => link.direction === 'prev');
+    const next = entry.links.find(link => link.direction === 'next');
+    if (!prev && !next) return;
+
+    const page = this.canonicalUrl(entry.finalUrl || pageUrl);
+    this.pagination[page] = { prev: prev ? resolve(prev.url) : null, next: next ? resolve(next.url) : null };
+
+    if (next) {
+      // Category labels without a page link to "#"
+      const sidebar = entry.links
+        .filter(link => link.region === 'sidebar' && isSameDomain(link.url, this.startUrl) && !link.url.includes('#'))
+        .map(link => resolve(link.url));
+
+      const issue = checkPaginationOrder(page, this.pagination[page].next, Array.from(new Set(sidebar)));
+      if (issue) this.navigationIssues.push(issue);
+    }
+  }
+
+  // Check if a page linked from pageUrl would be crawled, as far as can be told
+  // before it is queued: in scope and within the depth and page limits
+  willCrawl(url, pageUrl) {
+    const info = this.pageInfo.get(pageUrl);
+    const depth = info ? info.depth + 1 : 0;
+
+    if (this.options.maxDepth !== null && depth > this.options.maxDepth) return false;
+    return !this.pageLimitReached && this.isInScope(url);
+  }
+
+  // Check if a page is within the crawl scope: same host, under the base path and
+  // allowed by the crawl include/exclude rules
+  isInScope(url) {
+    return isSameDomain(url, this.startUrl) && isUnderBasePath(url, this.basePath) && this.crawlFilter(url);
+  }
+
+  // Queue a page for crawling unless it has already been visited or queued, is out
+  // of scope, or is beyond the maximum depth. `depth` counts the links followed from
+  // the start page and `source` is the page the link was found on. `position` is the
+  // link's index on the source page; pages queued without one (start page, locale
+  // roots, sitemap entries, resumed pages) keep the order they are queued in.
+  // URLs with the same canonical form (see lib/canonical.js) are the same page.
+  enqueuePage(url, depth = 0, source = null, position = null) {
+    const canonicalUrl = this.canonicalUrl(url);
+    if (this.pageUrls.has(canonicalUrl)) url = this.pageUrls.get(canonicalUrl);
+
+    if (this.visitedUrls.has(url)) return;
+
+    // Where a sequential crawl would have queued the page: after the pages found on
+    // earlier pages, and after the earlier links on the same page
+    const parentRank = this.pageRanks.has(source) ? this.pageRanks.get(source) : -1;
+    const key = [parentRank, position === null ? this.rootCount++ : position];
+
+    // A shorter path, or one a sequential crawl would have found first, to a page
+    // that is still waiting in the queue
+    if (this.pendingUrls.has(url)) {
+      const info = this.pageInfo.get(url);
+      if (depth < info.depth || (depth === info.depth && compareKeys(key, this.queueKeys.get(url)) < 0)) {
+        this.pageInfo.set(url, { depth, source });
+        this.queueKeys.set(url, key);
+        if (depth < info.depth) this.queueLevel(depth).push(url);
+      }
+      return;
+    }
+
+    // The start page is always crawled
+    if (url !== this.startUrl && !this.isInScope(url)) {
+      this.logDebug(`Not crawling ${url}: out of scope`);
+      return;
+    }
+
+    if (this.options.maxDepth !== null && depth > this.options.maxDepth) {
+      this.logDebug(`Not crawling ${url}: deeper than ${this.options.maxDepth} links`);
+      return;
+    }
+
+    if (this.pageLimitReached) return;
+
+    this.pendingUrls.add(url);
+    this.pageUrls.set(canonicalUrl, url);
+    this.pageInfo.set(url, { depth, source });
+    this.queueKeys.set(url, key);
+    this.queueLevel(depth).push(url);
+  }
+
+  // The queued pages at a depth
+  queueLevel(depth) {
+    if (!this.queueLevels.has(depth)) this.queueLevels.set(depth, []);
+    return this.queueLevels.get(depth);
+  }
+
+  // Crawl the queue one depth at a time: all pages at depth N are finished before
+  // those at depth N + 1 start, so every page's depth and source are final when it
+  // is crawled, and concurrent crawls find the same ones as a sequential crawl.
+  // The page limit is applied to each depth in that same order.
+  async processQueue() {
+    while (!this.stopping && this.queueLevels.size > 0) {
+      const depth = Math.min(...this.queueLevels.keys());
+      const queued = this.queueLevels.get(depth);
+      this.queueLevels.delete(depth);
+
+      // Pages that moved to a lower depth were crawled there already
+      const urls = Array.from(new Set(queued))
+        .filter(url => this.pendingUrls.has(url) && this.pageInfo.get(url).depth === depth)
+        .sort((a, b) => compareKeys(this.queueKeys.get(a), this.queueKeys.get(b)));
+
+      if (this.options.maxPages !== null && this.visitedUrls.size + urls.length > this.options.maxPages) {
+        for (const url of urls.splice(Math.max(this.options.maxPages - this.visitedUrls.size, 0))) {
+          this.pendingUrls.delete(url);
+          this.pageUrls.delete(this.canonicalUrl(url));
+          this.pageInfo.delete(url);
+          this.queueKeys.delete(url);
+        }
+
+        this.pageLimitReached = true;
+        this.log(`Reached the limit of ${this.options.maxPages} pages, not crawling further pages`);
+      }
+
+      for (const url of urls) {
+        this.pageRanks.set(url, this.pageRanks.size);
+        this.queueKeys.delete(url);
+        this.crawlPage(url);
+      }
+
+      await this.pagePool.onIdle();
+    }
+  }
+
+  // Hand a queued page to the worker pool
+  crawlPage(url) {
+    this.pagePool.run(async () => {
+      // After stop(), queued pages stay pending, so they are saved for --resume
+      if (this.stopping) return;
+
+      this.pendingUrls.delete(url);
+      this.visitedUrls.add(url);
+      this.activeUrls.add(url);
+      this.pagesProcessed++;
+
+      this.emit('pageStart', url, this.pageInfo.get(url));
+      this.emit('progress', this.getProgress());
+
+      await this.processPage(url);
+
+      this.activeUrls.delete(url);
+      this.emit('progress', this.getProgress());
+      this.checkpoint();
+    }).catch(error => {
+      this.activeUrls.delete(url);
+      this.log(`Error processing ${url}: ${error.message}`);
+    });
+  }
+
+  // A snapshot of the crawl's progress:
+  //   pagesProcessed     pages started, including those in progress
+  //   pagesDone          pages finished
+  //   pending, active    pages queued and in progress
+  //   brokenLinks        broken links found so far
+  //   requests           requests sent (pages, links, assets and sitemaps)
+  //   requestsPerSecond  requests per second in this run
+  //   elapsed            seconds since the crawl started (including resumed runs)
+  //   eta                estimated seconds left, or null before the first page of
+  //                      this run is done. The queue grows as links are discovered,
+  //                      so it only covers the pages known so far.
+  getProgress() {
+    const now = Date.now();
+    const pagesDone = this.pagesProcessed - this.activeUrls.size;
+    const remaining = this.pendingUrls.size + this.activeUrls.size;
+
+    let requestsPerSecond = 0;
+    let eta = null;
+    if (this.rateStart) {
+      const runSeconds = (now - this.rateStart.time) / 1000;
+      const pagesThisRun = pagesDone - this.rateStart.pages;
+      if (runSeconds > 0) requestsPerSecond = this.requestCount / runSeconds;
+      if (pagesThisRun > 0) eta = remaining * runSeconds / pagesThisRun;
+    }
+
+    return {
+      pagesProcessed: this.pagesProcessed,
+      pagesDone: pagesDone,
+      pending: this.pendingUrls.size,
+      active: this.activeUrls.size,
+      brokenLinks: Object.values(this.brokenLinks).reduce((count, links) => count + links.length, 0),
+      requests: this.requestCount,
+      requestsPerSecond: requestsPerSecond,
+      elapsed: this.startTime ? (now - this.startTime) / 1000 : 0,
+      eta: eta
+    };
+  }
+
+  // Stop the crawl (e.g. on Ctrl-C): no new pages are started, the pages in
+  // progress are finished, and crawl() resolves to the partial result with
+  // `interrupted: true`. The state file keeps the rest of the queue for --resume.
+  stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    this.log(`Stopping: finishing ${this.activeUrls.size} pages in progress, ${this.pendingUrls.size} queued pages are skipped`);
+  }
+
+  // Everything needed to resume the crawl. Pages that are being processed go back
+  // into the queue, since their links haven't all been checked yet. The link cache
+  // entries of the pages found so far are kept too (without their links), since
+  // orphan detection, suggestions and missing translations look the pages up there.
+  getState() {
+    const visited = Array.from(this.visitedUrls).filter(url => !this.activeUrls.has(url));
+    const queue = [...this.activeUrls, ...this.pendingUrls];
+
+    const pageResults = {};
+    for (const url of new Set([...visited, ...this.linkedPages])) {
+      const entry = this.linkCache.get(url);
+      if (!entry) continue;
+
+      const { links, assets, ...rest } = entry;
+      pageResults[url] = rest;
+    }
+
+    return {
+      startUrl: this.startUrl,
+      savedAt: new Date().toISOString(),
+      elapsed: this.startTime ? (Date.now() - this.startTime) / 1000 : 0,
+      visited: visited.map(url => ({ url: url, ...this.pageInfo.get(url) })),
+      queue: queue.map(url => ({ url: url, ...this.pageInfo.get(url) })),
+      linkedPages: Array.from(this.linkedPages),
+      pageResults: pageResults,
+      sitemapUrls: this.sitemapUrls,
+      sitemapSeeded: this.sitemapSeeded,
+      brokenLinks: this.brokenLinks,
+      redirectedLinks: this.redirectedLinks,
+      crossLinks: this.crossLinks,
+      trailingSlashLinks: this.trailingSlashLinks,
+      pagination: this.pagination,
+      navigationIssues: this.navigationIssues
+    };
+  }
+
+  // Write the state file now (safe to call at any time, e.g. before exiting on an error)
+  saveState() {
+    if (!this.options.stateFile || !this.startTime) return;
+
+    this.lastCheckpoint = Date.now();
+    try {
+      writeState(this.options.stateFile, this.getState());
+    } catch (error) {
+      this.log(`Failed to write state file ${this.options.stateFile}: ${error.message}`);
+    }
+  }
+
+  // Save the state at most every CHECKPOINT_INTERVAL while crawling
+  checkpoint() {
+    if (Date.now() - this.lastCheckpoint >= CHECKPOINT_INTERVAL) {
+      this.saveState();
+    }
+  }
+
+  // Restore a saved state and queue the pages that were not finished.
+  // Returns false when there is no state to resume from.
+  restoreState() {
+    let state = readState(this.options.stateFile);
+    if (!state) return false;
+
+    if (state.startUrl !== this.startUrl) {
+      if (!this.options.buildDir) {
+        throw new Error(`State file ${this.options.stateFile} belongs to a crawl of ${state.startUrl}`);
+      }
+      state = rebaseState(state, this.startUrl);
+    }
+
+    for (const page of state.visited) {
+      this.visitedUrls.add(page.url);
+      this.pageUrls.set(this.canonicalUrl(page.url), page.url);
+      this.pageInfo.set(page.url, { depth: page.depth, source: page.source });
+    }
+
+    this.pagesProcessed = this.visitedUrls.size;
+    this.startTime = Date.now() - state.elapsed * 1000;
+    state.linkedPages.forEach(url => this.linkedPages.add(url));
+
+    // Entries without links: a page that is crawled after all is fetched again
+    for (const [url, entry] of Object.entries(state.pageResults || {})) {
+      if (!this.linkCache.get(url)) this.linkCache.set(url, entry);
+    }
+
+    this.sitemapUrls = state.sitemapUrls;
+    this.sitemapSeeded = state.sitemapSeeded;
+    this.brokenLinks = state.brokenLinks;
+    this.redirectedLinks = state.redirectedLinks;
+    this.crossLinks = state.crossLinks || {};
+    this.trailingSlashLinks = state.trailingSlashLinks || {};
+    this.pagination = state.pagination || {};
+    this.navigationIssues = state.navigationIssues || [];
+
+    for (const page of state.queue) {
+      this.enqueuePage(page.url, page.depth, page.source);
+    }
+
+    this.log(`Resuming crawl from ${this.options.stateFile}: ${state.visited.length} pages done, ${state.queue.length} queued`);
+    return true;
+  }
+
+  // URL of the site root: baseUrl on the start URL's host
+  getSiteRoot() {
+    return new URL(normalizeBaseUrl(this.options.baseUrl), this.startUrl).href;
+  }
+
+  // Root pages of the non-default locales of an i18n site (e.g. /fr/ under baseUrl)
+  getLocaleRoots() {
+    const siteRoot = this.getSiteRoot();
+
+    return this.options.locales
+      .filter(locale => locale !== this.options.defaultLocale)
+      .map(locale => new URL(`${encodeURIComponent(locale)}/`, siteRoot).href);
+  }
+
+  // Read the sitemap (following sitemap indexes), check every page it lists and
+  // queue the valid ones, so pages that no link reaches are crawled too.
+  // Docusaurus writes a separate sitemap for each locale, so those are read as well.
+  async seedFromSitemap() {
+    const sitemapUrls = [new URL(this.options.sitemapUrl || 'sitemap.xml', this.startUrl).href];
+    if (!this.options.sitemapUrl) {
+      sitemapUrls.push(...this.getLocaleRoots().map(root => new URL('sitemap.xml', root).href));
+    }
+
+    const fetchXml = url => this.scheduleRequest(url, () => this.transport.request({
+      url: url,
+      method: 'get',
+      timeout: this.options.timeout,
+      responseType: 'text'
+    })).then(response => response.data);
+
+    const pages = [];
+    let complete = true;
+
+    for (const sitemapUrl of sitemapUrls) {
+      const { urls, errors } = await loadSitemap(sitemapUrl, new URL(this.startUrl).origin, fetchXml);
+      for (const error of errors) {
+        this.log(`Could not read sitemap ${error.url}: ${error.message}`);
+      }
+
+      if (urls.length === 0 && errors.length > 0) {
+        complete = false;
+        continue;
+      }
+
+      const sitemapPages = urls.filter(url => isSameDomain(url, this.startUrl));
+      pages.push(...sitemapPages);
+      this.log(`Found ${sitemapPages.length} pages in ${sitemapUrl}`);
+
+      // Sitemap entries are checked like links on a page, so broken entries are reported
+      const results = await Promise.all(sitemapPages.map(url => this.checkLink({ url: url, text: '[sitemap]' }, sitemapUrl)));
+      const brokenEntries = results.filter(result => result.brokenLink).map(result => result.brokenLink);
+
+      const redirectedEntries = results.filter(result => result.redirectedLink).map(result => result.redirectedLink);
+
+      if (brokenEntries.length > 0) {
+        this.brokenLinks[sitemapUrl] = brokenEntries;
+      }
+
+      if (redirectedEntries.length > 0) {
+        this.redirectedLinks[sitemapUrl] = redirectedEntries;
+      }
+
+      for (const result of results) {
+        if (result.newPage) this.enqueuePage(result.newPage, 0, sitemapUrl);
+      }
+    }
+
+    // Without the full sitemap, pages would look like orphans
+    if (complete) {
+      this.sitemapUrls = Array.from(new Set(pages));
+    }
+  }
+
+  // Pages listed in the sitemap but not linked, and linked pages missing from the sitemap
+  getOrphanPages() {
+    // Only HTML pages belong in a sitemap, so links to downloads are left out.
+    // Links are compared by the page they end up on (after redirects), one
+    // entry for all the URLs with the same canonical form.
+    const linkedHtmlPages = new Map();
+    for (const url of [this.startUrl, ...this.linkedPages]) {
+      const entry = this.linkCache.get(url);
+      if (!entry || entry.reason || !entry.anchors) continue;
+
+      const finalUrl = entry.finalUrl || url;
+      const canonicalUrl = this.canonicalUrl(finalUrl);
+      if (this.isInScope(finalUrl) && !linkedHtmlPages.has(canonicalUrl)) linkedHtmlPages.set(canonicalUrl, finalUrl);
+    }
+
+    // Links on pages outside the crawl scope are unknown, so those pages are left out
+    const sitemapUrls = this.sitemapUrls.filter(url => this.isInScope(url));
+
+    return findOrphans(sitemapUrls, new Set(linkedHtmlPages.values()));
+  }
+
+  // Pages of the default locale without a translation in another locale: the
+  // counterpart is missing, or it is built from the default locale's content,
+  // which is what Docusaurus does for pages that aren't translated. With
+  // sourceDir, that is a counterpart without its own file under i18n/; otherwise
+  // one with the same main content as the default locale's page. Counterparts
+  // that were not crawled (e.g. out of scope) are checked now.
+  async findMissingTranslations() {
+    const { locales, defaultLocale } = this.sections;
+    const checks = [];
+    const missing = [];
+
+    for (const url of this.visitedUrls) {
+      const entry = this.linkCache.get(url);
+      const section = this.sections.classify(url);
+
+      // Only HTML pages that loaded have translations
+      if (!entry || entry.reason || !entry.anchors || !section || section.locale !== defaultLocale) continue;
+
+      for (const locale of locales.filter(locale => locale !== defaultLocale)) {
+        const counterpart = this.sections.localeCounterpart(url, locale);
+
+        checks.push(this.linkCache.lookup(counterpart, () => this.fetchPage(counterpart, true)).then(target => {
+          // Network errors say nothing about the translation
+          if (target.reason) {
+            if (target.status !== null) missing.push({ url: url, locale: locale, counterpart: counterpart, reason: target.reason });
+            return;
+          }
+
+          if (this.isUntranslated(url, entry, counterpart, target)) {
+            missing.push({ url: url, locale: locale, counterpart: counterpart, reason: `Not translated, shows the ${defaultLocale} content` });
+          }
+        }));
+      }
+    }
+
+    await Promise.all(checks);
+    return missing.sort((a, b) => a.url.localeCompare(b.url) || a.locale.localeCompare(b.locale));
+  }
+
+  // Check if a working counterpart of a default-locale page is built from the
+  // default locale's content, see findMissingTranslations
+  isUntranslated(url, entry, counterpart, target) {
+    // React pages (src/pages/*.js) are translated through code.json, not i18n/ files
+    const file = this.sourceMap ? this.sourceMap.fileForPage(url) : null;
+    if (file && /\.mdx?$/i.test(file)) return this.sourceMap.fileForPage(counterpart) === file;
+
+    return Boolean(entry.contentDigest) && entry.contentDigest === target.contentDigest;
+  }
+
+  // What became of the pages of a previous deployment (the previousPages option)
+  // that this crawl didn't visit: each path is requested on this site, and the
+  // ones that are now missing, "Page Not Found" pages or redirects are returned.
+  // Pages that still load are only unlinked, which doesn't break links to them.
+  async findPageChanges() {
+    const siteRoot = this.getSiteRoot();
+    const changes = [];
+
+    const checks = this.options.previousPages.map(path => {
+      const url = new URL(path.replace(/^\//, ''), siteRoot).href;
+      if (this.visitedUrls.has(url)) return null;
+
+      return this.linkCache.lookup(url, () => this.fetchPage(url, true)).then(entry => {
+        const change = { path: path, url: url, status: entry.status };
+
+        if (entry.reason) {
+          change.change = entry.failure === 'soft-404' ? 'soft-404' : entry.failure === '4xx' ? 'removed' : 'failed';
+          change.reason = entry.reason;
+          change.failure = entry.failure;
+        } else if (entry.finalUrl && this.canonicalUrl(entry.finalUrl) !== this.canonicalUrl(url)) {
+          change.change = 'redirected';
+          change.finalUrl = entry.finalUrl;
+        } else {
+          return;
+        }
+
+        changes.push(change);
+      });
+    });
+
+    await Promise.all(checks);
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  // Run the crawl. Resolves to the result object:
+  //   { startUrl, startedAt, duration, pagesVisited, pages, pageInfo, brokenLinks,
+  //     redirectedLinks, crossLinks, trailingSlashLinks, navigationIssues, missingTranslations,
+  //     orphans, cache, interrupted, pageChanges }
+  // where brokenLinks is sorted by source page (see lib/reporters.js for details).
+  // With sourceDir, links also carry their `source` location. `interrupted` is
+  // true when stop() ended the crawl early. With previousPages, pageChanges lists
+  // the ones that were removed, redirected or turned into "Page Not Found" pages.
+  async crawl() {
+    if (this.started) {
+      throw new Error('A Crawler instance can only crawl once.');
+    }
+    this.started = true;
+
+    try {
+      // Serve the build directory locally instead of crawling a live site
+      if (this.options.buildDir) {
+        this.staticServer = await startStaticServer({
+          root: this.options.buildDir,
+          baseUrl: this.options.baseUrl,
+          trailingSlash: this.options.trailingSlash,
+          port: this.options.port
+        });
+        this.startUrl = this.staticServer.url;
+        this.log(`Serving ${this.options.buildDir} at ${this.startUrl}`);
+      }
+
+      this.transport.setSiteUrl(this.startUrl);
+
+      this.basePath = this.options.basePath ? normalizeBaseUrl(this.options.basePath) : defaultBasePath(this.startUrl);
+      this.sections = createSectionClassifier({
+        siteRoot: this.getSiteRoot(),
+        locales: this.options.locales,
+        defaultLocale: this.options.defaultLocale,
+        versions: this.options.versions,
+        docsPath: this.options.docsPath
+      });
+
+      if (this.options.sourceDir) {
+        this.sourceMap = createSourceMap({
+          sourceDir: this.options.sourceDir,
+          siteRoot: this.getSiteRoot(),
+          locales: this.options.locales,
+          defaultLocale: this.options.defaultLocale,
+          versions: this.options.versions,
+          docsPath: this.options.docsPath
+        });
+        this.log(`Found ${this.sourceMap.size} source files in ${this.options.sourceDir}`);
+      }
+
+      this.emit('start', { startUrl: this.startUrl });
+
+      // Initialize Puppeteer if requested
+      if (this.options.usePuppeteer) {
+        this.puppeteerAvailable = await this.initPuppeteer();
+      }
+
+      // Restore results of previous runs that are still within the TTL
+      if (this.options.cacheFile) {
+        try {
+          const restored = this.linkCache.load();
+          this.log(`Loaded ${restored} cached link results from ${this.options.cacheFile}`);
+        } catch (error) {
+          this.log(`Ignoring unreadable cache file ${this.options.cacheFile}: ${error.message}`);
+        }
+      }
+
+      this.startTime = Date.now();
+
+      // Queue the start pages; the crawl itself starts once the sitemap is read
+      if (!this.options.resume || !this.restoreState()) {
+        this.enqueuePage(this.startUrl);
+
+        // Translated pages may only be reachable through the locale dropdown
+        for (const localeRoot of this.getLocaleRoots()) {
+          this.enqueuePage(localeRoot);
+        }
+      }
+
+      // Requests per second and the ETA only count this run
+      this.rateStart = { time: Date.now(), pages: this.pagesProcessed };
+
+      if (this.options.sitemap && !this.sitemapSeeded) {
+        await this.seedFromSitemap();
+        this.sitemapSeeded = true;
+      }
+
+      await this.processQueue();
+
+      if (this.stopping) {
+        // Keep the pages that were skipped for --resume
+        this.saveState();
+      } else {
+        if (this.getLocaleRoots().length > 0) {
+          this.missingTranslations = await this.findMissingTranslations();
+        }
+
+        if (this.options.previousPages) {
+          this.pageChanges = await this.findPageChanges();
+        }
+
+        // The crawl is complete, so there is nothing left to resume
+        if (this.options.stateFile) {
+          removeState(this.options.stateFile);
+        }
+      }
+
+      if (this.options.cacheFile) {
+        try {
+          this.linkCache.save();
+        } catch (error) {
+          this.log(`Failed to write cache file ${this.options.cacheFile}: ${error.message}`);
+        }
+      }
+
+      return this.getResult();
+    } finally {
+      await this.close();
+    }
+  }
+
+  // Collect everything found so far into the result object
+  getResult() {
+    // Collect all broken links into a flat array
+    const allBrokenLinks = [];
+    for (const links of Object.values(this.brokenLinks)) {
+      allBrokenLinks.push(...links);
+    }
+
+    // Sort broken links by source page
+    allBrokenLinks.sort((a, b) => a.sourcePage.localeCompare(b.sourcePage));
+
+    const allRedirectedLinks = [];
+    for (const links of Object.values(this.redirectedLinks)) {
+      allRedirectedLinks.push(...links);
+    }
+
+    allRedirectedLinks.sort((a, b) => a.sourcePage.localeCompare(b.sourcePage));
+
+    const allCrossLinks = [];
+    for (const links of Object.values(this.crossLinks)) {
+      allCrossLinks.push(...links);
+    }
+
+    allCrossLinks.sort((a, b) => a.sourcePage.localeCompare(b.sourcePage));
+
+    const allTrailingSlashLinks = [];
+    for (const links of Object.values(this.trailingSlashLinks)) {
+      allTrailingSlashLinks.push(...links);
+    }
+
+    allTrailingSlashLinks.sort((a, b) => a.sourcePage.localeCompare(b.sourcePage));
+
+    // Removed pages of a previous deployment get replacement suggestions as well
+    const removedPages = (this.pageChanges || []).filter(change => change.change === 'removed' || change.change === 'soft-404');
+    this.addSuggestions([...allBrokenLinks, ...removedPages], allRedirectedLinks);
+
+    // Point every link at the line of the Markdown/MDX file it is written on
+    if (this.sourceMap) {
+      for (const link of [...allBrokenLinks, ...allRedirectedLinks, ...allCrossLinks, ...allTrailingSlashLinks]) {
+        const source = this.sourceOf(link);
+        if (source) link.source = source;
+      }
+    }
+
+    return {
+      startUrl: this.startUrl,
+      startedAt: new Date(this.startTime || Date.now()).toISOString(),
+      duration: this.startTime ? (Date.now() - this.startTime) / 1000 : 0,
+      pagesVisited: this.visitedUrls.size,
+      pages: Array.from(this.visitedUrls),
+      pageInfo: Object.fromEntries(Array.from(this.visitedUrls, url => [url, { ...this.pageInfo.get(url), ...this.sectionOf(url) }])),
+      brokenLinks: allBrokenLinks,
+      redirectedLinks: allRedirectedLinks,
+      crossLinks: allCrossLinks,
+      trailingSlashLinks: allTrailingSlashLinks,
+      navigationIssues: [...this.navigationIssues, ...checkPaginationReciprocity(new Map(Object.entries(this.pagination)))]
+        .sort((a, b) => a.page.localeCompare(b.page)),
+      missingTranslations: this.missingTranslations,
+      // A partial crawl hasn't seen every link, so it can't tell orphan pages
+      orphans: this.sitemapUrls && !this.stopping ? this.getOrphanPages() : null,
+      cache: { ...this.linkCache.stats },
+      interrupted: this.stopping,
+      pageChanges: this.pageChanges
+    };
+  }
+
+  // Release the browser and the local server (safe to call more than once)
+  async close() {
+    if (this.tabPool) {
+      const tabPool = this.tabPool;
+      this.tabPool = null;
+      await tabPool.close();
+    }
+
+    if (this.browser) {
+      this.logDebug('Closing browser...');
+      const browser = this.browser;
+      this.browser = null;
+      this.puppeteerAvailable = false;
+      await browser.close().catch(e => {});
+    }
+
+    if (this.staticServer) {
+      const staticServer = this.staticServer;
+      this.staticServer = null;
+      await staticServer.close();
+    }
+  }
+}
+
+// Convenience wrapper: crawl with the given options and resolve to the result
+function crawl(options) {
+  return new Crawler(options).crawl();
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  Crawler,
+  crawl
+};
@@ -0,0 +1,118 @@
+// The page around the HTML report (see formatHtml in lib/reporters.js): one
+// offline file with its styles and script inline, so it can be attached to a CI
+// run and opened from anywhere. The script filters the broken links table and
+// sorts every table by a click on its header; without it, all rows are shown.
+
+const STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #1c1e21; background: #fff; }
+h1 { margin-bottom: 0.25rem; }
+h2 { margin-top: 2.5rem; }
+.meta { color: #606770; margin-top: 0; }
+.interrupted { border-left: 4px solid #b9770e; background: #fffbeb; padding: 0.5rem 1rem; }
+.cards { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0; }
+.card { border: 1px solid #dadde1; border-radius: 8px; padding: 0.75rem 1.25rem; min-width: 8rem; }
+.card .value { font-size: 1.75rem; font-weight: bold; }
+.card .label { color: #606770; }
+.card.error .value { color: #c0392b; }
+.card.warning .value { color: #b9770e; }
+.filters { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: center; margin-bottom: 0.75rem; }
+.filters select, .filters input { font: inherit; padding: 0.25rem; max-width: 24rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #dadde1; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; word-break: break-word; }
+th { background: #f5f6f7; cursor: pointer; user-select: none; white-space: nowrap; }
+th[aria-sort="ascending"]::after { content: " \\25B2"; }
+th[aria-sort="descending"]::after { content: " \\25BC"; }
+tr.warning td { background: #fffbeb; }
+.source, .muted { color: #606770; font-size: 0.9em; }
+.empty { color: #606770; }
+`;
+
+const SCRIPT = `
+(function () {
+  function cellValue(row, index) {
+    var cell = row.cells[index];
+    return cell ? cell.getAttribute('data-value') || cell.textContent.trim() : '';
+  }
+
+  document.querySelectorAll('table.sortable').forEach(function (table) {
+    table.querySelectorAll('th').forEach(function (header, index) {
+      header.addEventListener('click', function () {
+        var ascending = header.getAttribute('aria-sort') !== 'ascending';
+        table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+        header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+        var body = table.tBodies[0];
+        Array.prototype.slice.call(body.rows)
+          .sort(function (a, b) {
+            var order = cellValue(a, index).localeCompare(cellValue(b, index), undefined, { numeric: true });
+            return ascending ? order : -order;
+          })
+          .forEach(function (row) { body.appendChild(row); });
+      });
+    });
+  });
+
+  var table = document.getElementById('broken-links');
+  if (!table) return;
+
+  var filters = document.querySelectorAll('[data-filter]');
+  var search = document.getElementById('filter-search');
+  var count = document.getElementById('filter-count');
+  var rows = Array.prototype.slice.call(table.tBodies[0].rows);
+
+  function applyFilters() {
+    var text = search.value.trim().toLowerCase();
+    var shown = 0;
+
+    rows.forEach(function (row) {
+      var visible = Array.prototype.every.call(filters, function (filter) {
+        return !filter.value || row.getAttribute('data-' + filter.getAttribute('data-filter')) === filter.value;
+      }) && (!text || row.textContent.toLowerCase().indexOf(text) !== -1);
+
+      row.hidden = !visible;
+      if (visible) shown++;
+    });
+
+    count.textContent = 'Showing ' + shown + ' of ' + rows.length;
+  }
+
+  filters.forEach(function (filter) { filter.addEventListener('change', applyFilters); });
+  search.addEventListener('input', applyFilters);
+  applyFilters();
+})();
+`;
+
+// Escape text for HTML content and attribute values
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A complete HTML document with the report styles and script
+function htmlPage(title, body) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    body,
+    `<script>${SCRIPT}</script>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  htmlPage
+};
@@ -0,0 +1,124 @@
+// Link status cache: every URL is fetched at most once per run, and results can
+// optionally be persisted to disk so repeat runs within a TTL skip known targets
+
+const fs = require('fs');
+const { RETRY_STATUSES } = require('./retry');
+
+const CACHE_VERSION = 1;
+
+// Cache key: the URL without its fragment, which is never sent to the server
+function normalizeUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    parsedUrl.hash = '';
+    return parsedUrl.href;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Create a cache of link check results. Entries hold the HTTP status (null when no
+// response was received), the reason the link is broken (empty when it is fine),
+// the final URL after redirects and whatever else the caller wants to keep.
+//
+// Options:
+//   file - path of the on-disk cache (optional)
+//   ttl  - maximum age in seconds of entries restored from disk
+function createLinkCache(options = {}) {
+  const file = options.file || null;
+  const ttl = options.ttl !== undefined ? options.ttl : 3600;
+  const entries = new Map();
+  const inFlight = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  return {
+    stats,
+
+    get size() {
+      return entries.size;
+    },
+
+    get(url) {
+      return entries.get(normalizeUrl(url));
+    },
+
+    set(url, entry) {
+      entries.set(normalizeUrl(url), { ...entry, checkedAt: entry.checkedAt || Date.now() });
+    },
+
+    delete(url) {
+      entries.delete(normalizeUrl(url));
+    },
+
+    // Return the cached entry for a URL, or run `check` to produce it. Concurrent
+    // lookups of the same URL share a single check.
+    async lookup(url, check) {
+      const key = normalizeUrl(url);
+
+      if (entries.has(key)) {
+        stats.hits++;
+        return entries.get(key);
+      }
+
+      if (inFlight.has(key)) {
+        stats.hits++;
+        return inFlight.get(key);
+      }
+
+      stats.misses++;
+      const promise = Promise.resolve()
+        .then(() => check(key))
+        .then(entry => {
+          const cached = { ...entry, checkedAt: Date.now() };
+          entries.set(key, cached);
+          return cached;
+        })
+        .finally(() => inFlight.delete(key));
+
+      inFlight.set(key, promise);
+      return promise;
+    },
+
+    // Restore entries younger than the TTL from the cache file.
+    // Returns the number of restored entries.
+    load() {
+      if (!file || !fs.existsSync(file)) return 0;
+
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data.version !== CACHE_VERSION || !data.entries) return 0;
+
+      const oldest = Date.now() - ttl * 1000;
+      let restored = 0;
+
+      for (const [key, entry] of Object.entries(data.entries)) {
+        if (entry.checkedAt >= oldest && !entries.has(key)) {
+          entries.set(key, entry);
+          restored++;
+        }
+      }
+
+      return restored;
+    },
+
+    // Write the cache file. Transient failures, i.e. network errors (no HTTP
+    // response), rate limiting and server errors, are left out so they are checked
+    // again next time. Page links and assets are kept, so pages crawled in an
+    // earlier run aren't fetched again.
+    save() {
+      if (!file) return;
+
+      const persisted = {};
+      for (const [key, entry] of entries) {
+        if (entry.status === null || entry.status === undefined || RETRY_STATUSES.includes(entry.status)) continue;
+        persisted[key] = entry;
+      }
+
+      fs.writeFileSync(file, JSON.stringify({ version: CACHE_VERSION, entries: persisted }, null, 2));
+    }
+  };
+}
+
+module.exports = {
+  normalizeUrl,
+  createLinkCache
+};
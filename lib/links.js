@@ -0,0 +1,229 @@
+// HTML and URL helpers shared by the crawler: link and anchor extraction
+// and fragment handling
+
+const crypto = require('crypto');
+const { regionOf, directionOf } = require('./navigation');
+
+// Use Node.js built-in URL module to check if a URL is in the same domain
+function isSameDomain(url1, url2) {
+  try {
+    const parsedUrl1 = new URL(url1);
+    const parsedUrl2 = new URL(url2);
+    return parsedUrl1.hostname === parsedUrl2.hostname;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Collect the fragment targets (element ids and names) from a parsed HTML document
+function extractAnchors($) {
+  const anchors = new Set();
+  
+  $('[id], [name]').each((i, el) => {
+    const id = $(el).attr('id');
+    const name = $(el).attr('name');
+    if (id) anchors.add(id);
+    if (name) anchors.add(name);
+  });
+  
+  return Array.from(anchors);
+}
+
+// Collect all links from a parsed HTML document, resolved against the page URL,
+// with the theme region they are in (see lib/navigation.js) and the direction of
+// pagination links
+function extractLinks($, pageUrl) {
+  const links = [];
+  
+  $('a').each((i, el) => {
+    const href = $(el).attr('href');
+    if (href) {
+      try {
+        // Resolve relative URLs
+        const absoluteUrl = new URL(href, pageUrl).href;
+        const link = {
+          url: absoluteUrl,
+          text: $(el).text().trim().substring(0, 50) || '[No text]',
+          region: regionOf($, el)
+        };
+        
+        const direction = link.region === 'pagination' ? directionOf($, el) : null;
+        if (direction) link.direction = direction;
+        links.push(link);
+      } catch (e) {
+        // Skip hrefs that are not valid URLs
+      }
+    }
+  });
+  
+  return links;
+}
+
+// The "Edit this page" link of a Docusaurus doc or blog post, resolved against the
+// page URL, or null when the page has none
+function extractEditUrl($, pageUrl) {
+  const href = $('a.theme-edit-this-page').attr('href');
+  if (!href) return null;
+
+  try {
+    return new URL(href, pageUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The title of a page: its first heading, or else the document title without the
+// site name ("Setup | My Site" becomes "Setup")
+function extractTitle($) {
+  const heading = $('h1').first().text().trim();
+  if (heading) return heading;
+
+  return $('title').first().text().split(' | ')[0].trim();
+}
+
+// Containers of a page's main content, most specific first. The theme's own
+// strings around the Markdown (e.g. "Edit this page") are translated even on
+// untranslated pages, so they are left out where possible.
+const CONTENT_SELECTORS = ['.theme-doc-markdown', '.markdown', 'article', 'main', 'body'];
+
+// A digest of a page's main content (the Markdown of a doc or blog post), to tell
+// pages with the same content apart from translated ones: Docusaurus builds
+// untranslated pages of other locales from the default locale's content.
+function extractContentDigest($) {
+  const selector = CONTENT_SELECTORS.find(candidate => $(candidate).length > 0);
+  const text = selector ? $(selector).first().text().replace(/\s+/g, ' ').trim() : '';
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Elements and attributes that load resources, by element type. srcset attributes
+// hold a list of candidates.
+const ASSET_ATTRIBUTES = [
+  ['img', 'src'],
+  ['img', 'srcset'],
+  ['source', 'src'],
+  ['source', 'srcset'],
+  ['link', 'href'],
+  ['script', 'src'],
+  ['video', 'src'],
+  ['video', 'poster'],
+  ['audio', 'src'],
+  ['iframe', 'src']
+];
+
+// <link> relations that don't point to a resource the page loads
+const NON_ASSET_LINK_RELS = ['canonical', 'alternate', 'preconnect', 'dns-prefetch', 'next', 'prev'];
+
+// Split a srcset attribute into its URLs ("a.png 1x,b.png 2x" -> ["a.png", "b.png"]),
+// following the HTML parsing rules: a URL runs up to whitespace, and commas at its
+// end separate it from the next candidate, while commas inside it belong to the
+// URL. Descriptors run up to the next comma outside parentheses.
+function parseSrcset(srcset) {
+  const urls = [];
+  let position = 0;
+
+  while (position < srcset.length) {
+    // Whitespace and commas between candidates
+    position += srcset.slice(position).match(/^[\s,]*/)[0].length;
+    if (position >= srcset.length) break;
+
+    const url = srcset.slice(position).match(/^\S+/)[0];
+    position += url.length;
+
+    if (url.endsWith(',')) {
+      urls.push(url.replace(/,+$/, ''));
+      continue;
+    }
+    urls.push(url);
+
+    // Skip the descriptors
+    let inParens = false;
+    while (position < srcset.length) {
+      const char = srcset[position++];
+      if (char === '(') inParens = true;
+      else if (char === ')') inParens = false;
+      else if (char === ',' && !inParens) break;
+    }
+  }
+
+  return urls.filter(Boolean);
+}
+
+// Collect the resources a parsed HTML document loads (images, stylesheets,
+// scripts, media and iframes), resolved against the page URL. Each asset has the
+// element type in `type`, and the alt or title text when there is one.
+function extractAssets($, pageUrl) {
+  const assets = [];
+  const seen = new Set();
+
+  for (const [type, attribute] of ASSET_ATTRIBUTES) {
+    $(`${type}[${attribute}]`).each((i, el) => {
+      if (type === 'link') {
+        const rels = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+        if (rels.some(rel => NON_ASSET_LINK_RELS.includes(rel))) return;
+      }
+
+      const value = $(el).attr(attribute).trim();
+      const urls = attribute === 'srcset' ? parseSrcset(value) : [value];
+      const text = ($(el).attr('alt') || $(el).attr('title') || '').trim().substring(0, 50) || `[${type}]`;
+
+      for (const url of urls) {
+        // Inline resources can't be broken
+        if (!url || /^(data|blob|about):/i.test(url)) continue;
+
+        try {
+          const absoluteUrl = new URL(url, pageUrl).href;
+          if (seen.has(`${type} ${absoluteUrl}`)) continue;
+          seen.add(`${type} ${absoluteUrl}`);
+          assets.push({ url: absoluteUrl, text: text, type: type });
+        } catch (e) {
+          // Skip values that are not valid URLs
+        }
+      }
+    });
+  }
+
+  return assets;
+}
+
+// Split a URL into the document URL and its fragment (without the leading '#')
+function splitFragment(url) {
+  try {
+    const parsedUrl = new URL(url);
+    const fragment = parsedUrl.hash.substring(1);
+    parsedUrl.hash = '';
+    return { base: parsedUrl.href, fragment: fragment };
+  } catch (error) {
+    return { base: url, fragment: '' };
+  }
+}
+
+// Check if a fragment points to an existing anchor ('#' and '#top' always scroll to the top)
+function hasAnchor(anchors, fragment) {
+  if (!fragment || fragment === 'top') return true;
+  if (anchors.includes(fragment)) return true;
+  
+  try {
+    return anchors.includes(decodeURIComponent(fragment));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Only HTML responses can be searched for anchors (e.g. '#page=2' is valid on a PDF)
+function isHtmlResponse(response) {
+  const contentType = response.headers && response.headers['content-type'];
+  return typeof response.data === 'string' && (!contentType || contentType.includes('html'));
+}
+
+module.exports = {
+  isSameDomain,
+  extractAnchors,
+  extractLinks,
+  extractEditUrl,
+  extractTitle,
+  extractContentDigest,
+  extractAssets,
+  splitFragment,
+  hasAnchor,
+  isHtmlResponse
+};
@@ -0,0 +1,88 @@
+// Docusaurus navigation: tell which theme region a link was found in, and check
+// the structure of the doc navigation (prev/next pagination against the sidebar).
+
+// Theme regions with the selectors of their containers in the classic theme, in
+// matching order: the mobile navbar contains a menu like the sidebar, and the
+// doc body contains the breadcrumbs. Links outside all of them are in 'other'.
+const REGIONS = [
+  ['navbar', '.navbar, nav.navbar'],
+  ['footer', 'footer, .footer'],
+  ['sidebar', '.theme-doc-sidebar-container, .theme-doc-sidebar-menu, nav.menu, aside nav'],
+  ['breadcrumbs', '.theme-doc-breadcrumbs, .breadcrumbs'],
+  ['pagination', '.pagination-nav'],
+  ['toc', '.theme-doc-toc-desktop, .theme-doc-toc-mobile, .table-of-contents'],
+  ['body', '.theme-doc-markdown, .markdown, article, main']
+];
+
+const REGION_NAMES = [...REGIONS.map(([name]) => name), 'other'];
+
+// Pagination links: "Previous" and "Next" at the end of docs and blog posts
+const PAGINATION_DIRECTIONS = [
+  ['prev', '.pagination-nav__link--prev, .pagination-nav__item--prev'],
+  ['next', '.pagination-nav__link--next, .pagination-nav__item--next']
+];
+
+// The region of an element in a page loaded in cheerio
+function regionOf($, el) {
+  const element = $(el);
+  const region = REGIONS.find(([name, selector]) => element.closest(selector).length > 0);
+  return region ? region[0] : 'other';
+}
+
+// 'prev' or 'next' for pagination links, otherwise null
+function directionOf($, el) {
+  const element = $(el);
+  const direction = PAGINATION_DIRECTIONS.find(([name, selector]) => element.closest(selector).length > 0);
+  return direction ? direction[0] : null;
+}
+
+// Check a page's "Next" link against the order of its sidebar. `sidebar` holds the
+// canonical URLs of the sidebar's pages in document order, and `page` and `next`
+// are canonical too. Collapsed categories aren't rendered, so pages missing from
+// the sidebar can't be checked. Returns an issue or null.
+function checkPaginationOrder(page, next, sidebar) {
+  const pageIndex = sidebar.indexOf(page);
+  const nextIndex = sidebar.indexOf(next);
+  if (pageIndex === -1 || nextIndex === -1) return null;
+
+  if (nextIndex < pageIndex) {
+    return { kind: 'pagination-order', page: page, url: next, expected: sidebar[pageIndex + 1] || null };
+  }
+  if (nextIndex > pageIndex + 1) {
+    return { kind: 'pagination-skip', page: page, url: next, skipped: sidebar.slice(pageIndex + 1, nextIndex) };
+  }
+  return null;
+}
+
+// Check that prev/next links are reciprocal: when A's "Next" is B, B's "Previous"
+// must be A, and the other way round. `pagination` maps the canonical URL of
+// every crawled page to { prev, next } (canonical URLs or null). Pages that were
+// not crawled are skipped. Returns a list of issues.
+function checkPaginationReciprocity(pagination) {
+  const issues = [];
+  const opposite = { prev: 'next', next: 'prev' };
+
+  for (const [page, links] of pagination) {
+    for (const direction of ['prev', 'next']) {
+      const target = links[direction];
+      if (!target || !pagination.has(target)) continue;
+
+      const found = pagination.get(target)[opposite[direction]] || null;
+      if (found !== page) {
+        issues.push({ kind: 'pagination-not-reciprocal', page: page, url: target, direction: direction, found: found });
+      }
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  REGIONS,
+  REGION_NAMES,
+  PAGINATION_DIRECTIONS,
+  regionOf,
+  directionOf,
+  checkPaginationOrder,
+  checkPaginationReciprocity
+};
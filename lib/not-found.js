@@ -0,0 +1,85 @@
+// "Page Not Found" detection for pages served with a 200 status, as happens when a
+// host falls back to the Docusaurus 404 page. Detectors look at the structure the
+// Docusaurus theme renders rather than at words in the text, so docs pages about
+// HTTP 404 errors or troubleshooting are not mistaken for missing pages.
+
+const cheerio = require('cheerio');
+
+// Containers that hold the content of docs, blog posts and Markdown pages. The
+// NotFound page renders none of them.
+const CONTENT_SELECTOR = 'article, .theme-doc-markdown, .markdown';
+
+// Built-in detectors, by name. Each receives { $, url } and returns true when the
+// page is a "Page Not Found" page.
+const BUILT_IN_DETECTORS = {
+  // The NotFound theme component: <main class="container margin-vert--xl"> with a
+  // hero title, whatever language it is translated to
+  'docusaurus-markup': ({ $ }) => {
+    return $('main.container.margin-vert--xl h1.hero__title').length > 0 && $(CONTENT_SELECTOR).length === 0;
+  },
+
+  // The document title Docusaurus gives the NotFound page ("Page Not Found | Site")
+  'docusaurus-title': ({ $ }) => {
+    return /^page not found\b/i.test($('title').first().text().trim()) && $(CONTENT_SELECTOR).length === 0;
+  }
+};
+
+const DEFAULT_DETECTORS = Object.keys(BUILT_IN_DETECTORS);
+
+// Compile a pattern (a RegExp, or a string compiled case-insensitively)
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid not-found pattern ${pattern}: ${error.message}`);
+  }
+}
+
+// Create a function that runs every detector on a parsed page and returns the
+// name of the first one that matched, or null. Options:
+//   detectors - built-in detector names, or custom { name, detect({ $, url }) } objects
+//   selectors - CSS selectors that only match on a "Page Not Found" page
+//   patterns  - regular expressions tested against the page's body text
+function createNotFoundDetector(options = {}) {
+  const detectors = [];
+
+  for (const detector of options.detectors || DEFAULT_DETECTORS) {
+    if (typeof detector === 'string') {
+      if (!BUILT_IN_DETECTORS[detector]) {
+        throw new Error(`Unknown not-found detector: ${detector}. Built-in detectors are: ${DEFAULT_DETECTORS.join(', ')}.`);
+      }
+      detectors.push({ name: detector, detect: BUILT_IN_DETECTORS[detector] });
+    } else if (detector && typeof detector.detect === 'function') {
+      detectors.push({ name: detector.name || 'custom', detect: detector.detect });
+    } else {
+      throw new Error('A not-found detector must be a built-in detector name or a { name, detect } object.');
+    }
+  }
+
+  for (const selector of options.selectors || []) {
+    try {
+      cheerio.load('')(selector);
+    } catch (error) {
+      throw new Error(`Invalid not-found selector ${selector}: ${error.message}`);
+    }
+    detectors.push({ name: `selector: ${selector}`, detect: ({ $ }) => $(selector).length > 0 });
+  }
+
+  for (const pattern of options.patterns || []) {
+    const regex = toRegExp(pattern);
+    detectors.push({ name: `pattern: ${regex}`, detect: ({ $ }) => regex.test($('body').text()) });
+  }
+
+  return ($, url) => {
+    const match = detectors.find(detector => detector.detect({ $, url }));
+    return match ? match.name : null;
+  };
+}
+
+module.exports = {
+  BUILT_IN_DETECTORS,
+  DEFAULT_DETECTORS,
+  createNotFoundDetector
+};
@@ -0,0 +1,85 @@
+// Live crawl status for the console. On a terminal, one status line at the
+// bottom is redrawn in place and other output is printed above it. Elsewhere
+// (CI logs, redirected output) the status is printed as a plain line every few
+// seconds instead.
+
+// Milliseconds between redraws on a terminal, and between status lines elsewhere
+const TTY_INTERVAL = 100;
+const LOG_INTERVAL = 5000;
+
+// Format a number of seconds, e.g. "42s", "3m05s" or "1h02m"
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const pad = value => String(value).padStart(2, '0');
+
+  if (total < 60) return `${total}s`;
+  if (total < 3600) return `${Math.floor(total / 60)}m${pad(total % 60)}s`;
+  return `${Math.floor(total / 3600)}h${pad(Math.floor(total / 60) % 60)}m`;
+}
+
+// One line of status for a progress snapshot (see Crawler#getProgress)
+function describeProgress(progress) {
+  return [
+    `${progress.pagesDone} pages done, ${progress.pending} queued, ${progress.active} active`,
+    `${progress.brokenLinks} broken`,
+    `${progress.requestsPerSecond.toFixed(1)} req/s`,
+    `${formatDuration(progress.elapsed)}, ETA ${progress.eta === null ? '?' : formatDuration(progress.eta)}`
+  ].join(' | ');
+}
+
+// Create the status display on a stream
+function createStatusLine(stream = process.stdout) {
+  const tty = Boolean(stream.isTTY);
+  let text = '';
+  let shown = false;
+  let lastDraw = tty ? 0 : Date.now();
+
+  // Redraw the status line, cut to the terminal width so it never wraps
+  const draw = () => {
+    stream.write(`\r\x1b[K${text.substring(0, (stream.columns || 80) - 1)}`);
+    shown = true;
+    lastDraw = Date.now();
+  };
+
+  const clear = () => {
+    if (!shown) return;
+    stream.write('\r\x1b[K');
+    shown = false;
+  };
+
+  return {
+    tty: tty,
+
+    // Show new status text. Updates are throttled.
+    update(newText) {
+      text = newText;
+      if (Date.now() - lastDraw < (tty ? TTY_INTERVAL : LOG_INTERVAL)) return;
+
+      if (tty) {
+        draw();
+      } else {
+        stream.write(`${text}\n`);
+        lastDraw = Date.now();
+      }
+    },
+
+    // Print a message above the status line
+    log(message) {
+      clear();
+      stream.write(`${message}\n`);
+      if (tty && text) draw();
+    },
+
+    // Remove the status line for good, e.g. before the summary
+    done() {
+      clear();
+      text = '';
+    }
+  };
+}
+
+module.exports = {
+  formatDuration,
+  describeProgress,
+  createStatusLine
+};
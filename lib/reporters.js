@@ -0,0 +1,924 @@
+// Machine-readable report formats and the HTML report. Every formatter takes the same report object:
+//
+//   {
+//     startUrl, startedAt, duration, pagesVisited,
+//     pages: [url, ...],                 // every visited page
+//     pageInfo: { [url]: { depth, source, locale?, version? } },
+//                                        // links followed from the start page, and where from
+//     brokenLinks: [{ url, text, reason, failure, severity, sourcePage, external,
+//                     detector?, type?, locale?, version?, region?, source?, suggestions? }, ...],
+//                                        // failure: class of the failure (see lib/retry.js)
+//                                        // severity: 'error', or 'warning' for classes in warnOn
+//                                        // type: element type of a broken asset (img, script, ...)
+//                                        // locale, version: section of the source page (i18n and versioned docs)
+//                                        // region: theme region of the link (navbar, sidebar, ..., see lib/navigation.js)
+//                                        // source: { file, line?, column? } the link is written at (sourceDir option)
+//                                        // suggestions: [{ url, score, reasons }] replacement pages, best first
+//     redirectedLinks: [{ url, text, sourcePage, external, type?, region?, source?,
+//                         redirects: [{ url, status, location }, ...],
+//                         finalUrl, suggestion, warnings: [message, ...] }, ...],
+//     crossLinks: [{ url, text, sourcePage, kind: 'locale' | 'version', from, to, source? }, ...],
+//     trailingSlashLinks: [{ url, text, sourcePage, trailingSlash, suggestion, source? }, ...],
+//                                        // links against the site's trailingSlash setting
+//     navigationIssues: [{ kind, page, url, direction?, found?, skipped?, expected? }, ...],
+//                                        // pagination that isn't reciprocal or skips sidebar pages
+//     missingTranslations: [{ url, locale, counterpart, reason }, ...] or null,
+//     orphans: { notLinked: [url, ...], notInSitemap: [url, ...] } or null,
+//     baseline: { new: [...], stillBroken: [...], fixed: [...] },  // optional, see lib/baseline.js
+//     cache: { hits, misses },
+//     interrupted                        // true when the crawl was stopped early (partial results)
+//   }
+//
+// and returns the full, untruncated report as a string.
+
+const path = require('path');
+const { REGION_NAMES } = require('./navigation');
+const { escapeHtml, htmlPage } = require('./html-report');
+
+const FORMATS = ['json', 'junit', 'sarif', 'markdown', 'github', 'html'];
+
+const FORMAT_EXTENSIONS = {
+  '.json': 'json',
+  '.xml': 'junit',
+  '.sarif': 'sarif',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+// Guess the format from the output file name (used when --format is not given)
+function formatFromFileName(fileName) {
+  return FORMAT_EXTENSIONS[path.extname(fileName).toLowerCase()] || null;
+}
+
+// Group broken links by the page they were found on, in report order
+function groupBySourcePage(brokenLinks) {
+  const groups = new Map();
+
+  for (const link of brokenLinks) {
+    if (!groups.has(link.sourcePage)) groups.set(link.sourcePage, []);
+    groups.get(link.sourcePage).push(link);
+  }
+
+  return groups;
+}
+
+// Group broken assets by element type, in type name order
+function groupByAssetType(brokenLinks) {
+  const groups = new Map();
+
+  for (const link of brokenLinks.filter(link => link.type).sort((a, b) => a.type.localeCompare(b.type))) {
+    if (!groups.has(link.type)) groups.set(link.type, []);
+    groups.get(link.type).push(link);
+  }
+
+  return groups;
+}
+
+// The docs version and locale a broken link was found in, e.g. "1.x / fr"
+function sectionLabel(link) {
+  return [link.version, link.locale].filter(Boolean).join(' / ');
+}
+
+// Group broken links by docs version and locale, in section name order. Empty for
+// sites without versions or locales.
+function groupBySection(brokenLinks) {
+  const groups = new Map();
+
+  for (const link of brokenLinks.filter(sectionLabel).sort((a, b) => sectionLabel(a).localeCompare(sectionLabel(b)))) {
+    const label = sectionLabel(link);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(link);
+  }
+
+  return groups;
+}
+
+// Group broken links by the theme region they were found in, in REGION_NAMES
+// order. Assets have no region and are left out.
+function groupByRegion(brokenLinks) {
+  const groups = new Map();
+
+  for (const region of REGION_NAMES) {
+    const links = brokenLinks.filter(link => link.region === region);
+    if (links.length > 0) groups.set(region, links);
+  }
+
+  return groups;
+}
+
+// The distinct URLs of a list of broken links, with the links to each: the same
+// broken sidebar or navbar entry is found on every page
+function groupByUrl(links) {
+  const groups = new Map();
+
+  for (const link of links) {
+    if (!groups.has(link.url)) groups.set(link.url, []);
+    groups.get(link.url).push(link);
+  }
+
+  return groups;
+}
+
+// Describe a navigation issue (see lib/navigation.js)
+function describeNavigationIssue(issue) {
+  if (issue.kind === 'pagination-not-reciprocal') {
+    const [label, opposite] = issue.direction === 'next' ? ['Next', 'Previous'] : ['Previous', 'Next'];
+    return `"${label}" leads to ${issue.url}, whose "${opposite}" leads to ${issue.found || 'no page'}`;
+  }
+  if (issue.kind === 'pagination-skip') {
+    return `"Next" leads to ${issue.url}, skipping ${issue.skipped.join(', ')} in the sidebar`;
+  }
+  return `"Next" leads back to ${issue.url}, an earlier page in the sidebar${issue.expected ? ` (expected ${issue.expected})` : ''}`;
+}
+
+// Describe a cross link, e.g. "links from locale fr to en"
+function describeCrossing(link) {
+  return `links from ${link.kind} ${link.from} to ${link.to}`;
+}
+
+// Broken links whose failure class is reported as a warning (the warnOn option)
+function isWarning(link) {
+  return link.severity === 'warning';
+}
+
+// Count broken links by failure class, in class name order
+function countByFailure(brokenLinks) {
+  const counts = {};
+
+  for (const link of brokenLinks) {
+    const failure = link.failure || 'other';
+    counts[failure] = (counts[failure] || 0) + 1;
+  }
+
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Where a link is written in the source files, e.g. "docs/intro.md:12:5"
+function describeSource(source) {
+  if (!source.line) return source.file;
+  return source.column ? `${source.file}:${source.line}:${source.column}` : `${source.file}:${source.line}`;
+}
+
+// "Did you mean" text for a broken link with suggestions, or ''
+function describeSuggestion(link) {
+  return link.suggestions && link.suggestions.length > 0 ? `did you mean ${link.suggestions[0].url}?` : '';
+}
+
+// Describe a trailing slash lint, e.g. "Missing trailing slash (trailingSlash: true)"
+function describeTrailingSlash(link) {
+  return `${link.trailingSlash ? 'Missing' : 'Unexpected'} trailing slash (trailingSlash: ${link.trailingSlash})`;
+}
+
+// The statuses of a redirect chain, e.g. "301 → 308"
+function describeRedirects(link) {
+  return link.redirects.map(redirect => redirect.status).join(' → ');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// Stable rule identifiers used by SARIF
+function ruleIdFor(link) {
+  if (link.type) return 'broken-asset';
+  if (link.reason.startsWith('Missing anchor')) return 'missing-anchor';
+  return link.external ? 'broken-external-link' : 'broken-link';
+}
+
+function formatJson(report) {
+  return JSON.stringify({
+    startUrl: report.startUrl,
+    startedAt: report.startedAt,
+    duration: report.duration,
+    pagesVisited: report.pagesVisited,
+    interrupted: Boolean(report.interrupted),
+    brokenLinkCount: report.brokenLinks.filter(link => !isWarning(link)).length,
+    warningCount: report.brokenLinks.filter(isWarning).length,
+    failuresByClass: countByFailure(report.brokenLinks),
+    brokenAssetsByType: Object.fromEntries(Array.from(groupByAssetType(report.brokenLinks), ([type, links]) => [type, links.length])),
+    brokenLinksBySection: Object.fromEntries(Array.from(groupBySection(report.brokenLinks), ([section, links]) => [section, links.length])),
+    brokenLinksByRegion: Object.fromEntries(Array.from(groupByRegion(report.brokenLinks), ([region, links]) => [region, links.length])),
+    cache: report.cache,
+    pages: report.pages.map(url => ({ url: url, ...(report.pageInfo && report.pageInfo[url]) })),
+    brokenLinks: report.brokenLinks,
+    redirectedLinks: report.redirectedLinks || [],
+    crossLinks: report.crossLinks || [],
+    trailingSlashLinks: report.trailingSlashLinks || [],
+    navigationIssues: report.navigationIssues || [],
+    missingTranslations: report.missingTranslations || null,
+    orphans: report.orphans || null,
+    baseline: report.baseline || null
+  }, null, 2) + '\n';
+}
+
+// Describe broken links, one per line
+function describeLinks(links) {
+  return links
+    .map(link => {
+      const suggestion = describeSuggestion(link);
+      return `${link.url} (${link.reason})${link.text ? ` "${link.text}"` : ''}${link.source ? ` at ${describeSource(link.source)}` : ''}${suggestion ? `, ${suggestion}` : ''}`;
+    })
+    .join('\n');
+}
+
+// One test case per visited page; pages with broken links fail, while warnings
+// are only listed in the test case output
+function formatJunit(report) {
+  const groups = groupBySourcePage(report.brokenLinks.filter(link => !isWarning(link)));
+  const warningGroups = groupBySourcePage(report.brokenLinks.filter(isWarning));
+  const pages = Array.from(new Set([...report.pages, ...groups.keys(), ...warningGroups.keys()])).sort();
+  const lines = [];
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="docusaurus-link-crawler" tests="${pages.length}" failures="${groups.size}" time="${report.duration.toFixed(3)}">`);
+  lines.push(`  <testsuite name="${escapeXml(report.startUrl)}" tests="${pages.length}" failures="${groups.size}" errors="0" skipped="0" time="${report.duration.toFixed(3)}" timestamp="${escapeXml(report.startedAt)}">`);
+
+  for (const page of pages) {
+    const links = groups.get(page);
+    const warnings = warningGroups.get(page);
+
+    if (!links && !warnings) {
+      lines.push(`    <testcase classname="links" name="${escapeXml(page)}"/>`);
+      continue;
+    }
+
+    lines.push(`    <testcase classname="links" name="${escapeXml(page)}">`);
+    if (links) {
+      lines.push(`      <failure message="${escapeXml(`${links.length} broken links`)}" type="BrokenLink">${escapeXml(describeLinks(links))}</failure>`);
+    }
+    if (warnings) {
+      lines.push(`      <system-out>${escapeXml(`Warnings:\n${describeLinks(warnings)}`)}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// SARIF location of a link: the line of the source file it is written on when
+// known, otherwise the page it was found on
+function sarifLocations(link) {
+  if (!link.source) {
+    return [{ physicalLocation: { artifactLocation: { uri: link.sourcePage } } }];
+  }
+
+  const physicalLocation = { artifactLocation: { uri: link.source.file.split(path.sep).join('/') } };
+  if (link.source.line) {
+    physicalLocation.region = { startLine: link.source.line, ...(link.source.column && { startColumn: link.source.column }) };
+  }
+  return [{ physicalLocation: physicalLocation }];
+}
+
+function formatSarif(report) {
+  const rules = [
+    { id: 'broken-link', name: 'BrokenLink', shortDescription: { text: 'Internal link target is broken' } },
+    { id: 'missing-anchor', name: 'MissingAnchor', shortDescription: { text: 'Link fragment does not exist on the target page' } },
+    { id: 'broken-external-link', name: 'BrokenExternalLink', shortDescription: { text: 'External link target is broken' } },
+    { id: 'broken-asset', name: 'BrokenAsset', shortDescription: { text: 'Image, stylesheet, script, media or iframe source is broken' } },
+    { id: 'redirected-link', name: 'RedirectedLink', shortDescription: { text: 'Link goes through redirects and should point to the final URL' } },
+    { id: 'cross-locale-link', name: 'CrossLocaleLink', shortDescription: { text: 'Link leads to a page in another locale' } },
+    { id: 'cross-version-link', name: 'CrossVersionLink', shortDescription: { text: 'Link leads to a page in another docs version' } },
+    { id: 'missing-translation', name: 'MissingTranslation', shortDescription: { text: 'Page is not translated into another locale' } },
+    { id: 'trailing-slash', name: 'TrailingSlash', shortDescription: { text: "Link doesn't follow the site's trailingSlash setting" } },
+    { id: 'pagination-not-reciprocal', name: 'PaginationNotReciprocal', shortDescription: { text: 'Previous and Next links of two pages don\'t point at each other' } },
+    { id: 'pagination-skip', name: 'PaginationSkip', shortDescription: { text: 'Next link skips pages of the sidebar' } },
+    { id: 'pagination-order', name: 'PaginationOrder', shortDescription: { text: 'Next link leads to an earlier page of the sidebar' } }
+  ];
+
+  // With a baseline, results say whether they are new
+  const stillBroken = new Set(report.baseline ? report.baseline.stillBroken : []);
+
+  const results = report.brokenLinks.map(link => ({
+    ruleId: ruleIdFor(link),
+    level: isWarning(link) ? 'warning' : 'error',
+    ...(report.baseline && { baselineState: stillBroken.has(link) ? 'unchanged' : 'new' }),
+    message: {
+      text: `Broken ${link.type ? `${link.type} asset` : 'link'} to ${link.url}: ${link.reason}${link.text ? ` (link text: "${link.text}")` : ''}${link.suggestions ? `, ${describeSuggestion(link)}` : ''}`
+    },
+    locations: sarifLocations(link),
+    properties: {
+      url: link.url,
+      sourcePage: link.sourcePage,
+      reason: link.reason,
+      failure: link.failure,
+      text: link.text,
+      external: Boolean(link.external),
+      detector: link.detector,
+      type: link.type,
+      region: link.region,
+      suggestions: link.suggestions
+    }
+  }));
+
+  // Redirected links still work, so they are warnings
+  for (const link of report.redirectedLinks || []) {
+    results.push({
+      ruleId: 'redirected-link',
+      level: 'warning',
+      message: {
+        text: `${link.warnings.join(', ')}: ${link.url} redirects to ${link.finalUrl} (${describeRedirects(link)}), link to ${link.suggestion} instead`
+      },
+      locations: sarifLocations(link),
+      properties: {
+        url: link.url,
+        sourcePage: link.sourcePage,
+        text: link.text,
+        external: Boolean(link.external),
+        redirects: link.redirects,
+        suggestion: link.suggestion
+      }
+    });
+  }
+
+  for (const link of report.crossLinks || []) {
+    results.push({
+      ruleId: `cross-${link.kind}-link`,
+      level: 'warning',
+      message: {
+        text: `Link to ${link.url} ${describeCrossing(link)}${link.text ? ` (link text: "${link.text}")` : ''}`
+      },
+      locations: sarifLocations(link),
+      properties: {
+        url: link.url,
+        sourcePage: link.sourcePage,
+        text: link.text,
+        kind: link.kind,
+        from: link.from,
+        to: link.to
+      }
+    });
+  }
+
+  for (const link of report.trailingSlashLinks || []) {
+    results.push({
+      ruleId: 'trailing-slash',
+      level: 'warning',
+      message: {
+        text: `${describeTrailingSlash(link)}: link to ${link.suggestion} instead of ${link.url}`
+      },
+      locations: sarifLocations(link),
+      properties: {
+        url: link.url,
+        sourcePage: link.sourcePage,
+        text: link.text,
+        suggestion: link.suggestion
+      }
+    });
+  }
+
+  for (const issue of report.navigationIssues || []) {
+    results.push({
+      ruleId: issue.kind,
+      level: 'warning',
+      message: {
+        text: describeNavigationIssue(issue)
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: issue.page }
+        }
+      }],
+      properties: issue
+    });
+  }
+
+  for (const page of report.missingTranslations || []) {
+    results.push({
+      ruleId: 'missing-translation',
+      level: 'note',
+      message: {
+        text: `No ${page.locale} translation at ${page.counterpart} (${page.reason})`
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: page.url }
+        }
+      }],
+      properties: {
+        locale: page.locale,
+        counterpart: page.counterpart
+      }
+    });
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'docusaurus-link-crawler',
+          informationUri: 'https://github.com/cloudonix/docusaurus-link-crawler',
+          rules: rules
+        }
+      },
+      results: results
+    }]
+  }, null, 2) + '\n';
+}
+
+// Markdown table cell for the page a link is on, with its source location
+function sourcePageCell(link) {
+  return `${escapeMarkdown(link.sourcePage)}${link.source ? `<br>\`${escapeMarkdown(describeSource(link.source))}\`` : ''}`;
+}
+
+function formatMarkdown(report) {
+  const lines = [];
+  const errors = report.brokenLinks.filter(link => !isWarning(link));
+  const warnings = report.brokenLinks.filter(isWarning);
+
+  lines.push('# Broken Link Report');
+  lines.push('');
+  if (report.interrupted) {
+    lines.push('> The crawl was interrupted: this report only covers the pages visited so far.');
+    lines.push('');
+  }
+  lines.push(`- Start URL: ${report.startUrl}`);
+  lines.push(`- Pages visited: ${report.pagesVisited}`);
+  lines.push(`- Broken links: ${errors.length}`);
+  lines.push(`- Warnings: ${warnings.length}`);
+  lines.push(`- Redirected links: ${(report.redirectedLinks || []).length}`);
+  if (report.crossLinks && report.crossLinks.length > 0) {
+    lines.push(`- Cross-locale and cross-version links: ${report.crossLinks.length}`);
+  }
+  if (report.missingTranslations) {
+    lines.push(`- Missing translations: ${report.missingTranslations.length}`);
+  }
+  if (report.trailingSlashLinks && report.trailingSlashLinks.length > 0) {
+    lines.push(`- Trailing slash mismatches: ${report.trailingSlashLinks.length}`);
+  }
+  if (report.navigationIssues && report.navigationIssues.length > 0) {
+    lines.push(`- Navigation issues: ${report.navigationIssues.length}`);
+  }
+  lines.push(`- Duration: ${report.duration.toFixed(1)} seconds`);
+  lines.push('');
+
+  if (report.brokenLinks.length === 0) {
+    lines.push('No broken links found.');
+    lines.push('');
+  } else {
+    const counts = Object.entries(countByFailure(report.brokenLinks)).map(([failure, count]) => `${failure}: ${count}`);
+    lines.push(`Failures by class: ${counts.join(', ')}`);
+    lines.push('');
+
+    const regions = Array.from(groupByRegion(report.brokenLinks), ([region, links]) => `${region}: ${links.length}`);
+    if (regions.length > 0) {
+      lines.push(`Broken links by region: ${regions.join(', ')}`);
+      lines.push('');
+    }
+  }
+
+  // On versioned or translated sites, broken links are grouped by the docs version
+  // and locale of their source page first
+  const sections = [];
+  const unsectioned = errors.filter(link => !sectionLabel(link));
+  const errorGroups = [['', unsectioned], ...groupBySection(errors)];
+
+  for (const [section, groupLinks] of errorGroups) {
+    const suffix = section ? ` (${section})` : '';
+
+    sections.push([`Broken Links${suffix}`, groupLinks.filter(link => !link.external && !link.type)]);
+    sections.push([`Broken External Links${suffix}`, groupLinks.filter(link => link.external && !link.type)]);
+
+    for (const [type, links] of groupByAssetType(groupLinks)) {
+      sections.push([`Broken Assets: \`<${type}>\`${suffix}`, links]);
+    }
+  }
+
+  sections.push(['Warnings', warnings]);
+
+  for (const [title, links] of sections) {
+    if (links.length === 0) continue;
+
+    lines.push(`## ${title}`);
+    lines.push('');
+    lines.push('| Source page | Broken link | Reason | Class | Link text |');
+    lines.push('| --- | --- | --- | --- | --- |');
+
+    for (const link of links) {
+      const didYouMean = link.suggestions ? `<br>Did you mean ${escapeMarkdown(link.suggestions.map(suggestion => suggestion.url).join(' or '))}?` : '';
+      lines.push(`| ${sourcePageCell(link)} | ${escapeMarkdown(link.url)}${didYouMean} | ${escapeMarkdown(link.reason)} | ${link.failure || 'other'} | ${escapeMarkdown(link.text || '')} |`);
+    }
+
+    lines.push('');
+  }
+
+  // Navigation links repeat on every page, so each broken target is listed once
+  const navigationGroups = Array.from(groupByRegion(errors)).filter(([region]) => region !== 'body' && region !== 'other');
+
+  if (navigationGroups.length > 0) {
+    lines.push('## Broken Navigation Links');
+    lines.push('');
+    lines.push('| Region | Broken link | Reason | Link text | Pages |');
+    lines.push('| --- | --- | --- | --- | --- |');
+
+    for (const [region, regionLinks] of navigationGroups) {
+      for (const [url, links] of groupByUrl(regionLinks)) {
+        const pages = new Set(links.map(link => link.sourcePage)).size;
+        lines.push(`| ${region} | ${escapeMarkdown(url)} | ${escapeMarkdown(links[0].reason)} | ${escapeMarkdown(links[0].text || '')} | ${pages} |`);
+      }
+    }
+
+    lines.push('');
+  }
+
+  const navigationIssues = report.navigationIssues || [];
+
+  if (navigationIssues.length > 0) {
+    lines.push('## Navigation Issues');
+    lines.push('');
+    lines.push('| Page | Issue |');
+    lines.push('| --- | --- |');
+
+    for (const issue of navigationIssues) {
+      lines.push(`| ${escapeMarkdown(issue.page)} | ${escapeMarkdown(describeNavigationIssue(issue))} |`);
+    }
+
+    lines.push('');
+  }
+
+  const redirectedLinks = report.redirectedLinks || [];
+
+  if (redirectedLinks.length > 0) {
+    lines.push('## Redirected Links');
+    lines.push('');
+    lines.push('| Source page | Link | Redirects | Suggested replacement | Warning |');
+    lines.push('| --- | --- | --- | --- | --- |');
+
+    for (const link of redirectedLinks) {
+      lines.push(`| ${sourcePageCell(link)} | ${escapeMarkdown(link.url)} | ${describeRedirects(link)} | ${escapeMarkdown(link.suggestion)} | ${escapeMarkdown(link.warnings.join(', '))} |`);
+    }
+
+    lines.push('');
+  }
+
+  const crossLinks = report.crossLinks || [];
+
+  if (crossLinks.length > 0) {
+    lines.push('## Cross-Locale and Cross-Version Links');
+    lines.push('');
+    lines.push('| Source page | Link | Crossing | Link text |');
+    lines.push('| --- | --- | --- | --- |');
+
+    for (const link of crossLinks) {
+      lines.push(`| ${sourcePageCell(link)} | ${escapeMarkdown(link.url)} | ${escapeMarkdown(`${link.kind}: ${link.from} → ${link.to}`)} | ${escapeMarkdown(link.text || '')} |`);
+    }
+
+    lines.push('');
+  }
+
+  const trailingSlashLinks = report.trailingSlashLinks || [];
+
+  if (trailingSlashLinks.length > 0) {
+    lines.push('## Trailing Slash Mismatches');
+    lines.push('');
+    lines.push(`The site uses \`trailingSlash: ${trailingSlashLinks[0].trailingSlash}\`.`);
+    lines.push('');
+    lines.push('| Source page | Link | Suggested replacement | Link text |');
+    lines.push('| --- | --- | --- | --- |');
+
+    for (const link of trailingSlashLinks) {
+      lines.push(`| ${sourcePageCell(link)} | ${escapeMarkdown(link.url)} | ${escapeMarkdown(link.suggestion)} | ${escapeMarkdown(link.text || '')} |`);
+    }
+
+    lines.push('');
+  }
+
+  if (report.missingTranslations && report.missingTranslations.length > 0) {
+    lines.push('## Missing Translations');
+    lines.push('');
+    lines.push('| Page | Locale | Expected translation | Reason |');
+    lines.push('| --- | --- | --- | --- |');
+
+    for (const page of report.missingTranslations) {
+      lines.push(`| ${escapeMarkdown(page.url)} | ${escapeMarkdown(page.locale)} | ${escapeMarkdown(page.counterpart)} | ${escapeMarkdown(page.reason)} |`);
+    }
+
+    lines.push('');
+  }
+
+  if (report.baseline) {
+    lines.push('## Compared With the Baseline');
+    lines.push('');
+    lines.push(`- New: ${report.baseline.new.length}`);
+    lines.push(`- Still broken: ${report.baseline.stillBroken.length}`);
+    lines.push(`- Fixed: ${report.baseline.fixed.length}`);
+    lines.push('');
+
+    const baselineSections = [
+      ['New Broken Links', report.baseline.new],
+      ['Fixed Links', report.baseline.fixed]
+    ];
+
+    for (const [title, links] of baselineSections) {
+      if (links.length === 0) continue;
+
+      lines.push(`### ${title}`);
+      lines.push('');
+      lines.push('| Source page | Link | Reason |');
+      lines.push('| --- | --- | --- |');
+      links.forEach(link => lines.push(`| ${escapeMarkdown(link.sourcePage)} | ${escapeMarkdown(link.url)} | ${escapeMarkdown(link.reason)} |`));
+      lines.push('');
+    }
+  }
+
+  // Orphan pages are only known when the sitemap was read
+  const orphanSections = report.orphans ? [
+    ['Pages Not Linked From Any Page', report.orphans.notLinked],
+    ['Pages Missing From the Sitemap', report.orphans.notInSitemap]
+  ] : [];
+
+  for (const [title, urls] of orphanSections) {
+    if (urls.length === 0) continue;
+
+    lines.push(`## ${title}`);
+    lines.push('');
+    urls.forEach(url => lines.push(`- ${url}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Escape the message of a GitHub Actions workflow command
+function escapeCommandData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+// Escape a property (file, title) of a GitHub Actions workflow command
+function escapeCommandProperty(value) {
+  return escapeCommandData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+// One workflow command, e.g. "::error file=docs/intro.md,line=12,col=5,title=Broken link::..."
+function githubAnnotation(level, title, link, message) {
+  const properties = [];
+
+  if (link.source) {
+    properties.push(`file=${escapeCommandProperty(link.source.file.split(path.sep).join('/'))}`);
+    if (link.source.line) properties.push(`line=${link.source.line}`);
+    if (link.source.column) properties.push(`col=${link.source.column}`);
+  }
+  properties.push(`title=${escapeCommandProperty(title)}`);
+
+  return `::${level} ${properties.join(',')}::${escapeCommandData(`${message} (on ${link.sourcePage})`)}`;
+}
+
+// GitHub Actions annotations, one line per problem: printed by a workflow step,
+// they show up on the source file and line of each link in pull requests
+function formatGithub(report) {
+  const lines = [];
+
+  for (const link of report.brokenLinks) {
+    const title = link.type ? `Broken ${link.type} asset` : link.external ? 'Broken external link' : 'Broken link';
+    const suggestion = describeSuggestion(link);
+    lines.push(githubAnnotation(isWarning(link) ? 'warning' : 'error', title, link, `${link.url}: ${link.reason}${suggestion ? `, ${suggestion}` : ''}`));
+  }
+
+  for (const link of report.redirectedLinks || []) {
+    lines.push(githubAnnotation('warning', 'Redirected link', link, `${link.url} redirects to ${link.finalUrl} (${describeRedirects(link)}), link to ${link.suggestion} instead`));
+  }
+
+  for (const link of report.crossLinks || []) {
+    lines.push(githubAnnotation('warning', `Cross-${link.kind} link`, link, `${link.url} ${describeCrossing(link)}`));
+  }
+
+  for (const link of report.trailingSlashLinks || []) {
+    lines.push(githubAnnotation('warning', 'Trailing slash', link, `${describeTrailingSlash(link)}: link to ${link.suggestion} instead of ${link.url}`));
+  }
+
+  for (const issue of report.navigationIssues || []) {
+    lines.push(`::warning title=${escapeCommandProperty(`Navigation: ${issue.kind}`)}::${escapeCommandData(`${describeNavigationIssue(issue)} (on ${issue.page})`)}`);
+  }
+
+  for (const page of report.missingTranslations || []) {
+    lines.push(`::notice title=Missing translation::${escapeCommandData(`No ${page.locale} translation of ${page.url} at ${page.counterpart} (${page.reason})`)}`);
+  }
+
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+// A URL as shown in the HTML report: without the origin on the crawled site
+function shortUrl(url, startUrl) {
+  const origin = new URL(startUrl).origin;
+  return url.startsWith(`${origin}/`) ? url.substring(origin.length) : url;
+}
+
+// A link to a URL in the HTML report. Only http(s) URLs are made clickable.
+function htmlLink(url, startUrl) {
+  const text = escapeHtml(shortUrl(url, startUrl));
+  return /^https?:\/\//i.test(url) ? `<a href="${escapeHtml(url)}" title="${escapeHtml(url)}">${text}</a>` : text;
+}
+
+// A sortable table for the HTML report. Rows are [{ cells: [html, ...], attributes }].
+function htmlTable(id, headers, rows) {
+  const lines = [];
+
+  lines.push(`<table${id ? ` id="${id}"` : ''} class="sortable">`);
+  lines.push(`<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`);
+  lines.push('<tbody>');
+
+  for (const row of rows) {
+    const attributes = Object.entries(row.attributes || {}).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+    lines.push(`<tr${attributes}>${row.cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`);
+  }
+
+  lines.push('</tbody>');
+  lines.push('</table>');
+  return lines.join('\n');
+}
+
+// A filter select for the broken links table, over the distinct values of an
+// attribute, most frequent first
+function htmlFilter(name, label, values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  const options = Array.from(counts)
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([value, count]) => `<option value="${escapeHtml(value)}">${escapeHtml(value)} (${count})</option>`);
+
+  return `<label>${escapeHtml(label)} <select data-filter="${name}"><option value="">All</option>${options.join('')}</select></label>`;
+}
+
+// The kind of link shown in the HTML report: internal, external or the element
+// type of an asset
+function linkKind(link) {
+  return link.type || (link.external ? 'external' : 'internal');
+}
+
+// A self-contained HTML page for people rather than tools: summary cards, the
+// broken links in a table that can be filtered by reason, page and link type
+// and sorted by any column, then redirects and the other warnings
+function formatHtml(report) {
+  const startUrl = report.startUrl;
+  const errors = report.brokenLinks.filter(link => !isWarning(link));
+  const warnings = report.brokenLinks.filter(isWarning);
+  const newLinks = report.baseline ? new Set(report.baseline.new) : null;
+  const parts = [];
+
+  parts.push('<h1>Broken Link Report</h1>');
+  parts.push(`<p class="meta">${htmlLink(startUrl, startUrl)}${report.startedAt ? `, crawled ${escapeHtml(report.startedAt)}` : ''} in ${report.duration.toFixed(1)} seconds</p>`);
+  if (report.interrupted) {
+    parts.push('<p class="interrupted">The crawl was interrupted: this report only covers the pages visited so far.</p>');
+  }
+
+  const cards = [
+    ['Pages visited', report.pagesVisited, ''],
+    ['Broken links', errors.length, errors.length > 0 ? 'error' : ''],
+    ['Warnings', warnings.length, warnings.length > 0 ? 'warning' : ''],
+    ['Redirected links', (report.redirectedLinks || []).length, '']
+  ];
+  if (report.baseline) {
+    cards.push(['New since the baseline', report.baseline.new.length, report.baseline.new.length > 0 ? 'error' : '']);
+    cards.push(['Fixed since the baseline', report.baseline.fixed.length, '']);
+  }
+
+  parts.push('<div class="cards">');
+  for (const [label, value, className] of cards) {
+    parts.push(`<div class="card${className ? ` ${className}` : ''}"><div class="value">${value}</div><div class="label">${escapeHtml(label)}</div></div>`);
+  }
+  parts.push('</div>');
+
+  if (report.brokenLinks.length > 0) {
+    const counts = Object.entries(countByFailure(report.brokenLinks)).map(([failure, count]) => `${failure}: ${count}`);
+    parts.push(`<p>Failures by class: ${escapeHtml(counts.join(', '))}</p>`);
+  }
+
+  parts.push('<h2>Broken Links</h2>');
+
+  if (report.brokenLinks.length === 0) {
+    parts.push('<p class="empty">No broken links found.</p>');
+  } else {
+    const filters = [
+      htmlFilter('reason', 'Reason', report.brokenLinks.map(link => link.reason)),
+      htmlFilter('page', 'Page', report.brokenLinks.map(link => shortUrl(link.sourcePage, startUrl))),
+      htmlFilter('kind', 'Link type', report.brokenLinks.map(linkKind)),
+      htmlFilter('severity', 'Severity', report.brokenLinks.map(link => link.severity || 'error'))
+    ];
+    if (newLinks) {
+      filters.push(htmlFilter('baseline', 'Baseline', report.brokenLinks.map(link => (newLinks.has(link) ? 'new' : 'still broken'))));
+    }
+
+    parts.push(`<div class="filters">${filters.join('')}<label>Search <input type="search" id="filter-search"></label><span id="filter-count" class="muted"></span></div>`);
+
+    const headers = ['Source page', 'Broken link', 'Reason', 'Class', 'Type', 'Link text', 'Did you mean'];
+    if (newLinks) headers.push('Baseline');
+
+    const rows = report.brokenLinks.map(link => {
+      const attributes = {
+        class: isWarning(link) ? 'warning' : 'error',
+        'data-reason': link.reason,
+        'data-page': shortUrl(link.sourcePage, startUrl),
+        'data-kind': linkKind(link),
+        'data-severity': link.severity || 'error'
+      };
+      if (newLinks) attributes['data-baseline'] = newLinks.has(link) ? 'new' : 'still broken';
+
+      const cells = [
+        `${htmlLink(link.sourcePage, startUrl)}${link.source ? `<div class="source">${escapeHtml(describeSource(link.source))}</div>` : ''}`,
+        htmlLink(link.url, startUrl),
+        escapeHtml(link.reason),
+        escapeHtml(link.failure || 'other'),
+        escapeHtml(link.region ? `${linkKind(link)} (${link.region})` : linkKind(link)),
+        escapeHtml(link.text || ''),
+        (link.suggestions || []).map(suggestion => htmlLink(suggestion.url, startUrl)).join('<br>')
+      ];
+      if (newLinks) cells.push(attributes['data-baseline']);
+
+      return { cells, attributes };
+    });
+
+    parts.push(htmlTable('broken-links', headers, rows));
+  }
+
+  const redirectedLinks = report.redirectedLinks || [];
+
+  if (redirectedLinks.length > 0) {
+    parts.push('<h2>Redirected Links</h2>');
+    parts.push(htmlTable(null, ['Source page', 'Link', 'Link to instead', 'Redirects', 'Warnings'], redirectedLinks.map(link => ({
+      cells: [
+        htmlLink(link.sourcePage, startUrl),
+        htmlLink(link.url, startUrl),
+        htmlLink(link.suggestion, startUrl),
+        escapeHtml(describeRedirects(link)),
+        escapeHtml(link.warnings.join(', '))
+      ]
+    }))));
+  }
+
+  // Everything else that doesn't fail the run, one row per problem
+  const otherRows = [];
+  const otherRow = (page, url, issue) => otherRows.push({
+    cells: [page ? htmlLink(page, startUrl) : '', url ? htmlLink(url, startUrl) : '', escapeHtml(issue)]
+  });
+
+  (report.crossLinks || []).forEach(link => otherRow(link.sourcePage, link.url, `Cross-${link.kind} link: ${describeCrossing(link)}`));
+  (report.trailingSlashLinks || []).forEach(link => otherRow(link.sourcePage, link.url, `${describeTrailingSlash(link)}: link to ${shortUrl(link.suggestion, startUrl)}`));
+  (report.navigationIssues || []).forEach(issue => otherRow(issue.page, issue.url, describeNavigationIssue(issue).split(new URL(startUrl).origin).join('')));
+  (report.missingTranslations || []).forEach(page => otherRow(page.url, page.counterpart, `No ${page.locale} translation (${page.reason})`));
+  if (report.orphans) {
+    report.orphans.notLinked.forEach(url => otherRow(url, null, 'In the sitemap, but not linked from any page'));
+    report.orphans.notInSitemap.forEach(url => otherRow(url, null, 'Missing from the sitemap'));
+  }
+
+  if (otherRows.length > 0) {
+    parts.push('<h2>Other Warnings</h2>');
+    parts.push(htmlTable(null, ['Page', 'Link', 'Issue'], otherRows));
+  }
+
+  if (report.baseline && report.baseline.fixed.length > 0) {
+    parts.push('<h2>Fixed Since the Baseline</h2>');
+    parts.push(htmlTable(null, ['Source page', 'Link', 'Reason'], report.baseline.fixed.map(link => ({
+      cells: [escapeHtml(link.sourcePage), escapeHtml(link.url), escapeHtml(link.reason)]
+    }))));
+  }
+
+  return htmlPage(`Broken Link Report: ${startUrl}`, parts.join('\n'));
+}
+
+const formatters = {
+  json: formatJson,
+  junit: formatJunit,
+  sarif: formatSarif,
+  markdown: formatMarkdown,
+  github: formatGithub,
+  html: formatHtml
+};
+
+// Render the report in one of FORMATS
+function formatReport(format, report) {
+  const formatter = formatters[format];
+  if (!formatter) {
+    throw new Error(`Unknown report format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+
+  return formatter(report);
+}
+
+module.exports = {
+  FORMATS,
+  formatFromFileName,
+  groupByAssetType,
+  groupBySection,
+  groupByRegion,
+  groupByUrl,
+  describeNavigationIssue,
+  isWarning,
+  countByFailure,
+  describeSource,
+  formatReport
+};
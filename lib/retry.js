@@ -0,0 +1,68 @@
+// Failure classification and the retry policy: transient failures (dropped
+// connections, timeouts, rate limiting, overloaded servers) are retried with
+// exponential backoff before a link is reported as broken
+
+// Every broken link is put in one of these classes
+const FAILURE_CLASSES = ['dns', 'connection', 'timeout', 'tls', '4xx', '5xx', 'soft-404', 'anchor', 'redirect', 'other'];
+
+// Statuses worth retrying: rate limiting and server errors that are often temporary
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NODATA'];
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+// Classify a request error (no HTTP response) by its error code
+function classifyError(error) {
+  const code = (error && error.code) || '';
+  const message = (error && error.message) || '';
+
+  if (DNS_CODES.includes(code)) return 'dns';
+  if (TIMEOUT_CODES.includes(code) || /timeout/i.test(message)) return 'timeout';
+  if (code.startsWith('ERR_TLS') || code.startsWith('ERR_SSL') || /CERT|SELF_SIGNED|UNABLE_TO_VERIFY/.test(code)) return 'tls';
+  if (CONNECTION_CODES.includes(code) || /socket hang up/i.test(message)) return 'connection';
+  return 'other';
+}
+
+// Classify an HTTP status that makes a link broken
+function classifyStatus(status) {
+  if (status >= 400 && status < 500) return '4xx';
+  if (status >= 500 && status < 600) return '5xx';
+  return 'other';
+}
+
+// Errors that may go away on the next attempt. EAI_AGAIN is a temporary DNS
+// failure, while ENOTFOUND means the host doesn't exist.
+function isTransientError(error) {
+  const failure = classifyError(error);
+  return failure === 'connection' || failure === 'timeout' || (error && error.code === 'EAI_AGAIN');
+}
+
+// Exponential backoff with jitter: attempt 0 waits between half and the whole
+// base delay, and each further attempt doubles it
+function backoffDelay(attempt, baseDelay) {
+  const delay = baseDelay * Math.pow(2, attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds, or null
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  FAILURE_CLASSES,
+  RETRY_STATUSES,
+  classifyError,
+  classifyStatus,
+  isTransientError,
+  backoffDelay,
+  parseRetryAfter
+};
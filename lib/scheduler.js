@@ -0,0 +1,87 @@
+// Concurrency helpers for the crawler: a bounded worker pool and a per-host rate limiter
+
+// Pause for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create a pool that runs at most `concurrency` async tasks at the same time.
+// Tasks must not wait on other tasks of the same pool, or the pool can deadlock.
+function createWorkerPool(concurrency) {
+  const waiting = [];
+  let active = 0;
+  let idleResolvers = [];
+
+  function next() {
+    while (active < concurrency && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+
+    // Notify everyone waiting for the pool to drain
+    if (active === 0 && waiting.length === 0 && idleResolvers.length > 0) {
+      const resolvers = idleResolvers;
+      idleResolvers = [];
+      resolvers.forEach(resolve => resolve());
+    }
+  }
+
+  return {
+    // Queue a task and get a promise for its result
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    // Resolve once no task is running or waiting
+    onIdle() {
+      if (active === 0 && waiting.length === 0) return Promise.resolve();
+      return new Promise(resolve => idleResolvers.push(resolve));
+    },
+
+    get active() {
+      return active;
+    },
+
+    get pending() {
+      return waiting.length;
+    }
+  };
+}
+
+// Create a limiter that spaces requests to the same host evenly.
+// A limit of 0 (or less) disables rate limiting.
+function createRateLimiter(requestsPerSecond) {
+  const nextSlot = new Map(); // host -> earliest time for the next request
+
+  return {
+    async wait(host) {
+      if (!requestsPerSecond || requestsPerSecond <= 0) return;
+
+      const interval = 1000 / requestsPerSecond;
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, slot + interval);
+
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    }
+  };
+}
+
+module.exports = {
+  sleep,
+  createWorkerPool,
+  createRateLimiter
+};
@@ -0,0 +1,108 @@
+// Crawl scope: include/exclude rules and the base path that decide which URLs are
+// crawled and which links are checked
+
+// Turn a glob into a regular expression: `**` matches anything, `*` anything but
+// a slash and `?` a single character other than a slash
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Compile a rule into a function that tests a URL. Rules are:
+//   - RegExp objects, or strings starting with `re:`, tested against the full URL
+//   - globs starting with `/`, matched against the path (e.g. `/blog/**`)
+//   - other globs, matched against the full URL (e.g. `https://*.example.com/**`)
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return url => pattern.test(url);
+  }
+
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new Error(`Invalid URL pattern: ${pattern}`);
+  }
+
+  if (pattern.startsWith('re:')) {
+    let regex;
+    try {
+      regex = new RegExp(pattern.substring(3));
+    } catch (error) {
+      throw new Error(`Invalid URL pattern ${pattern}: ${error.message}`);
+    }
+    return url => regex.test(url);
+  }
+
+  const regex = globToRegExp(pattern);
+
+  if (pattern.startsWith('/')) {
+    return url => {
+      try {
+        return regex.test(new URL(url).pathname);
+      } catch (error) {
+        return false;
+      }
+    };
+  }
+
+  return url => regex.test(url);
+}
+
+// Create a URL filter from include and exclude rules. A URL passes when it matches
+// at least one include rule (or there are none) and no exclude rule.
+function createUrlFilter(include = [], exclude = []) {
+  const includeRules = include.map(compilePattern);
+  const excludeRules = exclude.map(compilePattern);
+
+  return url => {
+    if (includeRules.length > 0 && !includeRules.some(rule => rule(url))) return false;
+    return !excludeRules.some(rule => rule(url));
+  };
+}
+
+// The default base path: the start URL's path as a directory. A last segment
+// without a file extension is a directory too, since Docusaurus routes have none:
+// `/docs/` for `https://example.com/docs/`, `https://example.com/docs` and
+// `https://example.com/docs/index.html`.
+function defaultBasePath(startUrl) {
+  const pathname = new URL(startUrl).pathname;
+  const lastSegment = pathname.substring(pathname.lastIndexOf('/') + 1);
+
+  if (lastSegment === '' || lastSegment.includes('.')) {
+    return pathname.substring(0, pathname.lastIndexOf('/') + 1);
+  }
+  return `${pathname}/`;
+}
+
+// Check if a URL is on the path below the base path, or is the base path itself
+// without its trailing slash (`/docs` for `/docs/`)
+function isUnderBasePath(url, basePath) {
+  try {
+    const pathname = new URL(url).pathname;
+    return pathname.startsWith(basePath) || `${pathname}/` === basePath;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  globToRegExp,
+  compilePattern,
+  createUrlFilter,
+  defaultBasePath,
+  isUnderBasePath
+};
@@ -0,0 +1,120 @@
+// Versioned docs and i18n: tell which locale and docs version a page belongs to,
+// so results can be grouped by them and links between them checked.
+//
+// Docusaurus URL layout, under the site's baseUrl:
+//   /docs/intro          latest version (versions[0]), default locale
+//   /docs/1.x/intro      older version
+//   /docs/next/intro     unreleased version, when the site has versions
+//   /fr/docs/intro       same pages in another locale
+
+// Create a classifier for the URL space of a site. Options:
+//   siteRoot      - URL of the site root (baseUrl included)
+//   locales       - all locales of the site, default locale included
+//   defaultLocale - the locale served without a path prefix
+//   versions      - docs versions as in versions.json, latest first
+//   docsPath      - route base path of the docs plugin (default: docs)
+function createSectionClassifier(options) {
+  const root = new URL(options.siteRoot);
+  const locales = options.locales || [];
+  const defaultLocale = options.defaultLocale || null;
+  const versions = options.versions || [];
+  const docsPath = (options.docsPath || 'docs').replace(/^\/+|\/+$/g, '');
+
+  const prefixedLocales = locales.filter(locale => locale !== defaultLocale);
+  const latestVersion = versions.length > 0 ? versions[0] : null;
+  const prefixedVersions = versions.length > 0 ? ['next', ...versions.slice(1)] : [];
+
+  // Split a URL into { locale, version, path, docPath }: `path` is the path below
+  // the locale prefix and `docPath` the path below the version prefix (null for
+  // pages outside the docs). Returns null for URLs outside the site.
+  function classify(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    if (parsed.origin !== root.origin || !parsed.pathname.startsWith(root.pathname)) return null;
+
+    let rest = parsed.pathname.substring(root.pathname.length);
+    let locale = defaultLocale;
+
+    const firstSegment = rest.split('/')[0];
+    if (prefixedLocales.includes(firstSegment)) {
+      locale = firstSegment;
+      rest = rest.substring(firstSegment.length + 1);
+    }
+
+    let version = null;
+    let docPath = null;
+
+    if (rest === docsPath || rest.startsWith(`${docsPath}/`)) {
+      docPath = rest.substring(docsPath.length + 1);
+      version = latestVersion;
+
+      const versionSegment = docPath.split('/')[0];
+      if (prefixedVersions.includes(versionSegment)) {
+        version = versionSegment;
+        docPath = docPath.substring(versionSegment.length + 1);
+      }
+    }
+
+    return { locale, version, path: rest, docPath };
+  }
+
+  // The URL of a page in another locale
+  function localeCounterpart(url, locale) {
+    const section = classify(url);
+    if (!section) return null;
+
+    const prefix = locale === defaultLocale ? '' : `${encodeURIComponent(locale)}/`;
+    const parsed = new URL(url);
+    return new URL(`${prefix}${section.path}${parsed.search}`, root).href;
+  }
+
+  // Human-readable name of the section a URL belongs to, e.g. "1.x / fr", or null
+  // when the site has neither versions nor locales
+  function label(url) {
+    const section = classify(url);
+    if (!section) return null;
+
+    const parts = [section.version, locales.length > 1 ? section.locale : null].filter(Boolean);
+    return parts.length > 0 ? parts.join(' / ') : null;
+  }
+
+  // Check a link between two pages for an unexpected change of locale or docs
+  // version. Links to the same page in another locale (language switchers), to the
+  // same doc in another version and to a version's root (version switchers) are
+  // expected. Returns { kind: 'locale' | 'version', from, to } or null.
+  function crossing(sourceUrl, targetUrl) {
+    const source = classify(sourceUrl);
+    const target = classify(targetUrl);
+    if (!source || !target) return null;
+
+    if (source.locale !== target.locale && source.path !== target.path) {
+      return { kind: 'locale', from: source.locale, to: target.locale };
+    }
+
+    if (source.version && target.version && source.version !== target.version &&
+        target.docPath !== source.docPath && target.docPath !== '') {
+      return { kind: 'version', from: source.version, to: target.version };
+    }
+
+    return null;
+  }
+
+  return {
+    enabled: prefixedLocales.length > 0 || versions.length > 0,
+    locales: locales,
+    defaultLocale: defaultLocale,
+    classify,
+    localeCounterpart,
+    label,
+    crossing
+  };
+}
+
+module.exports = {
+  createSectionClassifier
+};
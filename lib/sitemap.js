@@ -0,0 +1,93 @@
+// Sitemap support: read sitemap.xml (and sitemap indexes) to seed the crawl, and
+// compare the sitemap with the pages reachable by links to find orphan pages
+
+const cheerio = require('cheerio');
+
+// Extract page URLs and nested sitemap URLs from a sitemap or sitemap index
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const urls = [];
+  const sitemaps = [];
+
+  $('urlset > url > loc').each((i, el) => {
+    const loc = $(el).text().trim();
+    if (loc) urls.push(loc);
+  });
+
+  $('sitemapindex > sitemap > loc').each((i, el) => {
+    const loc = $(el).text().trim();
+    if (loc) sitemaps.push(loc);
+  });
+
+  return { urls, sitemaps };
+}
+
+// Docusaurus writes sitemap entries with the production `url`, so when checking a
+// local or staging deployment each entry is moved onto the crawled origin
+function rebaseUrl(url, origin) {
+  try {
+    const parsedUrl = new URL(url, origin);
+    return new URL(parsedUrl.pathname + parsedUrl.search, origin).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Load every page URL listed in a sitemap, following sitemap indexes.
+// `fetchXml(url)` must resolve to the document body (or reject).
+// Resolves to { urls, errors } where errors lists sitemaps that could not be read.
+async function loadSitemap(sitemapUrl, origin, fetchXml) {
+  const urls = new Set();
+  const errors = [];
+  const seen = new Set();
+  const pending = [rebaseUrl(sitemapUrl, origin)];
+
+  while (pending.length > 0) {
+    const url = pending.shift();
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+
+    let parsed;
+    try {
+      parsed = parseSitemap(await fetchXml(url));
+    } catch (error) {
+      errors.push({ url, message: error.message });
+      continue;
+    }
+
+    for (const loc of parsed.urls) {
+      const rebased = rebaseUrl(loc, origin);
+      if (rebased) urls.add(rebased);
+    }
+
+    for (const loc of parsed.sitemaps) {
+      pending.push(rebaseUrl(loc, origin));
+    }
+  }
+
+  return { urls: Array.from(urls), errors };
+}
+
+// Key used to compare sitemap entries with linked pages: a trailing slash
+// difference alone doesn't make a page an orphan
+function orphanKey(url) {
+  return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url;
+}
+
+// Compare the sitemap with the pages reachable by links.
+// Returns { notLinked, notInSitemap }, both sorted.
+function findOrphans(sitemapUrls, linkedPages) {
+  const sitemapKeys = new Set(sitemapUrls.map(orphanKey));
+  const linkedKeys = new Set(Array.from(linkedPages, orphanKey));
+
+  return {
+    notLinked: sitemapUrls.filter(url => !linkedKeys.has(orphanKey(url))).sort(),
+    notInSitemap: Array.from(linkedPages).filter(url => !sitemapKeys.has(orphanKey(url))).sort()
+  };
+}
+
+module.exports = {
+  parseSitemap,
+  loadSitemap,
+  findOrphans
+};
@@ -0,0 +1,338 @@
+// Source locations: map crawled pages back to the Markdown/MDX files they were
+// built from, and find links in those files, so problems can be reported at the
+// file and line to fix instead of the rendered page.
+//
+// A page's file is found from its "Edit this page" link when the theme renders
+// one, and otherwise from the routes Docusaurus derives from the site directory:
+//   docs/guides/01-setup.md              /docs/guides/setup (number prefixes dropped)
+//   docs/guides/index.md                 /docs/guides
+//   versioned_docs/version-1.x/intro.md  /docs/1.x/intro
+//   blog/2024-01-31-release.md           /blog/2024/01/31/release
+//   src/pages/help.mdx                   /help
+//   i18n/fr/docusaurus-plugin-content-docs/current/intro.md
+//                                        /fr/docs/intro
+// with front-matter `slug` and `id` taking precedence over file names.
+
+const fs = require('fs');
+const path = require('path');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.mdx'];
+const PAGE_EXTENSIONS = ['.md', '.mdx', '.js', '.jsx', '.ts', '.tsx'];
+
+// Link targets as written in Markdown, MDX and JSX. The target is the first group.
+const LINK_PATTERNS = [
+  /\]\(\s*<?([^)\s>]+)/g, // [text](target) and ![alt](target)
+  /^\s*\[[^\]]+\]:\s*<?([^\s>]+)/g, // [label]: target
+  /\b(?:href|src|to)\s*=\s*\{?\s*["'`]([^"'`]+)["'`]/g, // <a href="target">, <Link to="target">
+  /<(https?:\/\/[^>\s]+)>/g, // <https://target>
+  /(https?:\/\/[^\s)<>\]"'`]+)/g // bare URLs
+];
+
+// Files below `dir` with one of the extensions. Like Docusaurus, files and
+// directories starting with _ or . are skipped.
+function listFiles(dir, extensions) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(file, extensions));
+    } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// The string values of a Markdown file's front matter (nested values are ignored)
+function readFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!match) return {};
+
+  const frontMatter = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const property = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*?)\s*$/);
+    if (property && property[2]) frontMatter[property[1]] = property[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return frontMatter;
+}
+
+// Drop a number prefix used for ordering, e.g. "01-setup" becomes "setup"
+function stripNumberPrefix(name) {
+  return name.replace(/^\d+\s*[-_.]+\s*(?=[^-_.\s])/, '');
+}
+
+// Join route segments into a route key without leading or trailing slashes
+function joinRoute(...parts) {
+  return parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+// Route of a doc, relative to the site root
+function docRoute(relativeFile, frontMatter, base) {
+  const extension = path.extname(relativeFile);
+  const dirs = path.dirname(relativeFile).split(path.sep).filter(dir => dir !== '.').map(stripNumberPrefix);
+  const name = stripNumberPrefix(path.basename(relativeFile, extension));
+  const dir = dirs.join('/');
+
+  if (frontMatter.slug) {
+    return frontMatter.slug.startsWith('/') ? joinRoute(base, frontMatter.slug) : joinRoute(base, dir, frontMatter.slug);
+  }
+
+  // index.md, README.md and guides/guides.md are the category's own page
+  const isIndex = !frontMatter.id && (/^(index|readme)$/i.test(name) || name === dirs[dirs.length - 1]);
+  return joinRoute(base, dir, isIndex ? '' : frontMatter.id || name);
+}
+
+// Route of a blog post: dates in the file name become path segments
+function blogRoute(relativeFile, frontMatter, base) {
+  if (frontMatter.slug) return joinRoute(base, frontMatter.slug);
+
+  let route = relativeFile.split(path.sep).join('/').replace(/\.[^./]+$/, '').replace(/(^|\/)index$/, '');
+  route = route.replace(/(^|\/)(\d{4})[-/](\d{2})[-/](\d{2})(?:[-/]|$)/, '$1$2/$3/$4/');
+  return joinRoute(base, route);
+}
+
+// Route of a page in src/pages
+function pageRoute(relativeFile, frontMatter, base) {
+  if (frontMatter.slug) return joinRoute(base, frontMatter.slug);
+
+  const route = relativeFile.split(path.sep).join('/').replace(/\.[^./]+$/, '').replace(/(^|\/)index$/, '');
+  return joinRoute(base, route);
+}
+
+// Create a source map for the site in `sourceDir` (the directory with
+// docusaurus.config.js). Options:
+//   sourceDir, siteRoot, locales, defaultLocale, versions, docsPath - see
+//   createSectionClassifier in lib/sections.js
+function createSourceMap(options) {
+  const sourceDir = path.resolve(options.sourceDir);
+  const root = new URL(options.siteRoot);
+  const versions = options.versions || [];
+  const docsPath = (options.docsPath || 'docs').replace(/^\/+|\/+$/g, '');
+  const prefixedLocales = (options.locales || []).filter(locale => locale !== options.defaultLocale);
+
+  const routes = new Map(); // route key → file
+  const fileRoutes = new Map(); // file → route key
+  const fileLines = new Map();
+  const editUrlFiles = new Map();
+
+  // The content directories of a locale (null for the default locale) with the
+  // route each one is served under
+  const contentDirs = locale => {
+    const i18n = locale ? path.join('i18n', locale) : null;
+    const dirs = [];
+
+    if (versions.length === 0) {
+      dirs.push([i18n ? path.join(i18n, 'docusaurus-plugin-content-docs', 'current') : 'docs', docsPath, docRoute]);
+    } else {
+      dirs.push([i18n ? path.join(i18n, 'docusaurus-plugin-content-docs', 'current') : 'docs', `${docsPath}/next`, docRoute]);
+      versions.forEach((version, index) => {
+        const dir = i18n
+          ? path.join(i18n, 'docusaurus-plugin-content-docs', `version-${version}`)
+          : path.join('versioned_docs', `version-${version}`);
+        dirs.push([dir, index === 0 ? docsPath : `${docsPath}/${version}`, docRoute]);
+      });
+    }
+
+    dirs.push([i18n ? path.join(i18n, 'docusaurus-plugin-content-blog') : 'blog', 'blog', blogRoute]);
+    dirs.push([i18n ? path.join(i18n, 'docusaurus-plugin-content-pages') : path.join('src', 'pages'), '', pageRoute]);
+
+    return dirs.map(([dir, base, route]) => ({ dir: path.join(sourceDir, dir), base: joinRoute(locale, base), route }));
+  };
+
+  for (const locale of [null, ...prefixedLocales]) {
+    for (const { dir, base, route } of contentDirs(locale)) {
+      const extensions = route === pageRoute ? PAGE_EXTENSIONS : MARKDOWN_EXTENSIONS;
+
+      for (const file of listFiles(dir, extensions)) {
+        const frontMatter = MARKDOWN_EXTENSIONS.includes(path.extname(file).toLowerCase())
+          ? readFrontMatter(fs.readFileSync(file, 'utf8'))
+          : {};
+        const key = route(path.relative(dir, file), frontMatter, base);
+
+        if (!routes.has(key)) routes.set(key, file);
+        fileRoutes.set(file, key);
+      }
+    }
+  }
+
+  // Route key of a page URL, or null for URLs outside the site
+  const routeOf = url => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    if (parsed.origin !== root.origin || !parsed.pathname.startsWith(root.pathname)) return null;
+
+    let route = parsed.pathname.substring(root.pathname.length).replace(/(^|\/)index\.html$/, '').replace(/\.html$/, '');
+    try {
+      route = decodeURIComponent(route);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    return joinRoute(route);
+  };
+
+  // The source file of a page. Untranslated pages of other locales are built
+  // from the default locale's file.
+  const fileForPage = url => {
+    const route = routeOf(url);
+    if (route === null) return null;
+    if (routes.has(route)) return routes.get(route);
+
+    const locale = route.split('/')[0];
+    return prefixedLocales.includes(locale) ? routes.get(joinRoute(route.substring(locale.length))) || null : null;
+  };
+
+  // The file an "Edit this page" URL points to. The URL's path ends with the path
+  // of the file in the repository, which may have more leading segments than the
+  // path below sourceDir (e.g. website/docs/intro.md).
+  const fileForEditUrl = editUrl => {
+    if (editUrlFiles.has(editUrl)) return editUrlFiles.get(editUrl);
+
+    let file = null;
+    try {
+      const pathname = decodeURIComponent(new URL(editUrl).pathname);
+      const match = pathname.match(/\/(?:edit|blob|tree|-\/edit|-\/blob)\/[^/]+\/(.+)$/);
+      const segments = (match ? match[1] : pathname).split('/').filter(Boolean);
+
+      for (let i = 0; i < segments.length && !file; i++) {
+        const candidate = path.join(sourceDir, ...segments.slice(i));
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) file = candidate;
+      }
+    } catch (error) {
+      file = null;
+    }
+
+    editUrlFiles.set(editUrl, file);
+    return file;
+  };
+
+  const linesOf = file => {
+    if (!fileLines.has(file)) fileLines.set(file, fs.readFileSync(file, 'utf8').split(/\r?\n/));
+    return fileLines.get(file);
+  };
+
+  // The URL a link target written in `file` renders to on `pageUrl`. Links to
+  // Markdown files become the URL of that file's page, and absolute paths get the
+  // site's baseUrl, as Docusaurus does when building.
+  const resolveTarget = (target, file, pageUrl) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return target;
+
+    const hashIndex = target.indexOf('#');
+    const targetPath = hashIndex === -1 ? target : target.substring(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : target.substring(hashIndex);
+
+    if (MARKDOWN_EXTENSIONS.includes(path.extname(targetPath).toLowerCase())) {
+      let decoded = targetPath;
+      try {
+        decoded = decodeURI(targetPath);
+      } catch (error) {
+        // Keep malformed escapes as they are
+      }
+
+      const targetFile = decoded.startsWith('@site/')
+        ? path.join(sourceDir, decoded.substring('@site/'.length))
+        : path.resolve(path.dirname(file), decoded);
+
+      if (fileRoutes.has(targetFile)) return new URL(`${fileRoutes.get(targetFile)}${hash}`, root).href;
+    }
+
+    if (target.startsWith('/') && !target.startsWith(root.pathname)) {
+      return new URL(target.substring(1), root).href;
+    }
+    return new URL(target, pageUrl).href;
+  };
+
+  // URLs compare equal with or without a trailing slash or index.html
+  const comparable = url => {
+    try {
+      const parsed = new URL(url);
+      parsed.pathname = parsed.pathname.replace(/\/index\.html$/, '/').replace(/(.)\/$/, '$1');
+      return parsed.href;
+    } catch (error) {
+      return url;
+    }
+  };
+
+  // Line and column (1-based) of the link in the file: the first link target that
+  // renders to the link's URL, or else the first Markdown or JSX link with the
+  // link's text. Null when neither is found.
+  const findLink = (file, link, pageUrl) => {
+    const lines = linesOf(file);
+    const wanted = comparable(link.url);
+
+    for (let i = 0; i < lines.length; i++) {
+      for (const pattern of LINK_PATTERNS) {
+        for (const match of lines[i].matchAll(pattern)) {
+          let resolved;
+          try {
+            resolved = resolveTarget(match[1], file, pageUrl);
+          } catch (error) {
+            continue;
+          }
+
+          if (comparable(resolved) === wanted) {
+            return { line: i + 1, column: lines[i].indexOf(match[1], match.index) + 1 };
+          }
+        }
+      }
+    }
+
+    const text = link.text && link.text !== '[No text]' ? link.text : null;
+    if (!text) return null;
+
+    for (let i = 0; i < lines.length; i++) {
+      for (const needle of [`[${text}`, `>${text}`]) {
+        const column = lines[i].indexOf(needle);
+        if (column !== -1) return { line: i + 1, column: column + 1 };
+      }
+    }
+
+    return null;
+  };
+
+  return {
+    // Number of source files found
+    get size() {
+      return fileRoutes.size;
+    },
+
+    fileForPage,
+    fileForEditUrl,
+
+    // Where a link found on `pageUrl` is written: { file, line, column }. `file`
+    // is relative to the current directory when it is below it. Null when the
+    // page's source file is unknown or the link isn't in it, e.g. navbar and
+    // footer links from docusaurus.config.js.
+    locate(link, pageUrl, editUrl) {
+      const file = (editUrl && fileForEditUrl(editUrl)) || fileForPage(pageUrl);
+      if (!file) return null;
+
+      let position;
+      try {
+        position = findLink(file, link, pageUrl);
+      } catch (error) {
+        // Unreadable file
+        return null;
+      }
+      if (!position) return null;
+
+      const relative = path.relative(process.cwd(), file);
+      return {
+        file: relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : file,
+        ...position
+      };
+    }
+  };
+}
+
+module.exports = {
+  createSourceMap
+};
@@ -0,0 +1,57 @@
+// Crawl state files: the crawler checkpoints what it has visited, what is still
+// queued and what it found, so an interrupted crawl can be resumed
+
+const fs = require('fs');
+
+const STATE_VERSION = 1;
+
+const DEFAULT_STATE_FILE = '.linkcrawler-state.json';
+
+// Read a state file. Returns null when there is no state to resume from.
+function readState(file) {
+  if (!fs.existsSync(file)) return null;
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid state file ${file}: ${error.message}`);
+  }
+
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`Unsupported state file version in ${file}`);
+  }
+
+  return state;
+}
+
+// Write a state file. The state is written to a temporary file first, so a crash
+// while writing never leaves a truncated state behind.
+function writeState(file, state) {
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ version: STATE_VERSION, ...state }));
+  fs.renameSync(tempFile, file);
+}
+
+// Remove the state file once the crawl it belongs to has completed
+function removeState(file) {
+  fs.rmSync(file, { force: true });
+}
+
+// The local server of a build directory crawl gets a new port on every run, so
+// URLs in a saved state are moved from the old server to the new one
+function rebaseState(state, startUrl) {
+  if (state.startUrl === startUrl) return state;
+
+  const oldOrigin = new URL(state.startUrl).origin;
+  const newOrigin = new URL(startUrl).origin;
+  return JSON.parse(JSON.stringify(state).split(oldOrigin).join(newOrigin));
+}
+
+module.exports = {
+  DEFAULT_STATE_FILE,
+  readState,
+  writeState,
+  removeState,
+  rebaseState
+};
@@ -0,0 +1,164 @@
+// Minimal static file server for a Docusaurus build/ directory, so a site can be
+// checked without running `docusaurus serve`. It mirrors how Docusaurus sites are
+// hosted: everything lives under `baseUrl`, clean URLs resolve to `page.html` or
+// `page/index.html`, `trailingSlash` redirects are applied, and unknown paths are
+// answered with the generated 404.html and a 404 status.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg'
+};
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Make sure baseUrl starts and ends with a slash, like Docusaurus requires
+function normalizeBaseUrl(baseUrl) {
+  let normalized = baseUrl || '/';
+  if (!normalized.startsWith('/')) normalized = `/${normalized}`;
+  if (!normalized.endsWith('/')) normalized = `${normalized}/`;
+  return normalized;
+}
+
+// Map a request path (relative to baseUrl, without leading slash) to a response:
+// { file } to serve, { redirect } to send, or null when nothing matches
+function resolveRequest(root, relativePath, trailingSlash) {
+  const hasSlash = relativePath === '' || relativePath.endsWith('/');
+  const stripped = relativePath.replace(/\/+$/, '');
+  const filePath = path.join(root, stripped);
+
+  // Never serve anything outside the build directory
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) return null;
+
+  // Plain files (assets, sitemap.xml, page.html)
+  if (!hasSlash && isFile(filePath)) return { file: filePath };
+
+  const indexFile = path.join(filePath, 'index.html');
+  const htmlFile = `${filePath}.html`;
+
+  if (hasSlash) {
+    if (stripped !== '' && trailingSlash === false && (isFile(htmlFile) || isFile(indexFile))) {
+      return { redirect: stripped };
+    }
+    if (isFile(indexFile)) return { file: indexFile };
+    if (stripped !== '' && isFile(htmlFile)) return { file: htmlFile };
+    return null;
+  }
+
+  if (isFile(indexFile)) {
+    return trailingSlash === true ? { redirect: `${stripped}/` } : { file: indexFile };
+  }
+  if (isFile(htmlFile)) return { file: htmlFile };
+
+  return null;
+}
+
+// Start serving a build directory on 127.0.0.1.
+//
+// Options:
+//   root          - the build directory
+//   baseUrl       - the site's baseUrl (default '/')
+//   trailingSlash - true, false or undefined, as in docusaurus.config.js
+//   port          - port to listen on (default: any free port)
+//
+// Resolves to { url, close() } where url is the site root including baseUrl.
+function startStaticServer(options) {
+  const root = path.resolve(options.root);
+  const baseUrl = normalizeBaseUrl(options.baseUrl);
+  const trailingSlash = options.trailingSlash;
+  const notFoundFile = path.join(root, '404.html');
+
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    return Promise.reject(new Error(`Build directory not found: ${root}`));
+  }
+
+  const server = http.createServer((req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+
+    const resolved = pathname.startsWith(baseUrl) || `${pathname}/` === baseUrl
+      ? resolveRequest(root, pathname.substring(baseUrl.length), trailingSlash)
+      : null;
+
+    if (resolved && resolved.redirect !== undefined) {
+      res.writeHead(301, { Location: baseUrl + resolved.redirect });
+      res.end();
+      return;
+    }
+
+    const file = resolved ? resolved.file : (isFile(notFoundFile) ? notFoundFile : null);
+    const status = resolved ? 200 : 404;
+
+    if (!file) {
+      res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not Found');
+      return;
+    }
+
+    res.writeHead(status, {
+      'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+    });
+
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}${baseUrl}`,
+        close: () => new Promise(done => {
+          server.close(() => done());
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  normalizeBaseUrl,
+  startStaticServer
+};
@@ -0,0 +1,170 @@
+// "Did you mean" suggestions for broken internal links: rank the pages that were
+// crawled by how closely they match the broken URL, the link text and the URLs
+// that redirect to them. The correct page has usually been crawled under a
+// slightly different slug.
+
+// Suggestions per broken link, and the lowest score (0 to 1) worth suggesting
+const MAX_SUGGESTIONS = 3;
+const MIN_SCORE = 0.6;
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Similarity of two strings from 0 (nothing in common) to 1 (equal)
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Similarity of two texts by the words they share
+function wordSimilarity(a, b) {
+  const words = text => new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// The comparable path of a URL: decoded, lowercase, without index.html, .html or
+// a trailing slash
+function pathOf(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+    pathname = decodeURIComponent(pathname);
+  } catch (error) {
+    pathname = pathname || url;
+  }
+
+  return pathname.toLowerCase().replace(/\/index\.html$/, '/').replace(/\.html$/, '').replace(/(.)\/$/, '$1');
+}
+
+// Similarity of two paths. The last segment (the slug) counts as much as the
+// whole path, so /docs/setup matches /docs/guides/setup better than /docs/intro,
+// and slugs also match by their words (api matches api-reference).
+function pathSimilarity(a, b) {
+  const slugA = a.substring(a.lastIndexOf('/') + 1);
+  const slugB = b.substring(b.lastIndexOf('/') + 1);
+  return (stringSimilarity(a, b) + Math.max(stringSimilarity(slugA, slugB), wordSimilarity(slugA, slugB))) / 2;
+}
+
+// Create a suggester for the working pages of a site. Pages:
+//   [{ url, title, anchors, aliases }]
+// where `title` is the page's heading, `anchors` its fragment targets and
+// `aliases` the URLs that redirect to it. Options:
+//   sameSection - tells whether two URLs are in the same locale and docs version;
+//                 only pages in the section of the broken URL are suggested
+function createSuggester(pages, options = {}) {
+  const sameSection = options.sameSection || (() => true);
+  const candidates = pages.map(page => ({
+    ...page,
+    path: pathOf(page.url),
+    aliasPaths: (page.aliases || []).map(pathOf)
+  }));
+
+  // Every page worth suggesting for a broken URL and link text, best first.
+  // Broken links tend to repeat on many pages (e.g. in the navbar), so the scan of
+  // all pages is done once per URL and text.
+  const ranked = new Map();
+
+  const rank = (url, text) => {
+    const brokenPath = pathOf(url);
+    const fragment = url.includes('#') ? url.substring(url.indexOf('#') + 1) : '';
+    const suggestions = [];
+
+    for (const page of candidates) {
+      if (page.path === brokenPath || !sameSection(url, page.url)) continue;
+
+      const ownScore = pathSimilarity(brokenPath, page.path);
+      const aliasScore = Math.max(0, ...page.aliasPaths.map(alias => pathSimilarity(brokenPath, alias)));
+      const pathScore = Math.max(ownScore, aliasScore);
+      const titleScore = text && page.title ? wordSimilarity(text, page.title) : 0;
+
+      // A title matching the link text raises the path score, and one that
+      // matches it exactly is a good suggestion on its own
+      let score = pathScore + (1 - pathScore) * titleScore / 2;
+      if (titleScore === 1) score = Math.max(score, 0.8);
+      if (score < MIN_SCORE) continue;
+
+      const reasons = [];
+      if (ownScore >= MIN_SCORE) reasons.push('path');
+      if (aliasScore > ownScore && aliasScore >= MIN_SCORE) reasons.push('redirect');
+      if (titleScore >= 0.5) reasons.push('title');
+
+      // Keep the fragment when the suggested page has that anchor
+      const keepFragment = fragment && page.anchors && page.anchors.includes(fragment);
+
+      suggestions.push({
+        page: page.url,
+        url: keepFragment ? `${page.url}#${fragment}` : page.url,
+        score: Math.round(score * 100) / 100,
+        reasons: reasons.length > 0 ? reasons : ['path']
+      });
+    }
+
+    return suggestions.sort((a, b) => b.score - a.score || a.url.localeCompare(b.url));
+  };
+
+  return {
+    // Ranked replacements for a broken link, best first: [{ url, score, reasons }]
+    // where reasons say what matched: 'path', 'redirect' (a URL that redirects to
+    // the page) and 'title' (the link text). The page the link is on is never
+    // suggested.
+    suggest(link) {
+      const text = link.text && link.text !== '[No text]' ? link.text : '';
+      const key = `${link.url}\n${text}`;
+      if (!ranked.has(key)) ranked.set(key, rank(link.url, text));
+
+      return ranked.get(key)
+        .filter(suggestion => suggestion.page !== link.sourcePage)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ page, ...suggestion }) => ({ ...suggestion, reasons: suggestion.reasons.slice() }));
+    }
+  };
+}
+
+// Site-relative form of a URL, as written in links: path, query and fragment
+function relativeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}${parsed.hash}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Map every broken URL that has suggestions to its best suggestion:
+// { "/docs/old-slug": "/docs/new-slug", ... } in URL order
+function suggestedRewrites(brokenLinks) {
+  const rewrites = {};
+
+  for (const link of brokenLinks.slice().sort((a, b) => a.url.localeCompare(b.url))) {
+    if (!link.suggestions || link.suggestions.length === 0) continue;
+    rewrites[relativeUrl(link.url)] = relativeUrl(link.suggestions[0].url);
+  }
+
+  return rewrites;
+}
+
+module.exports = {
+  createSuggester,
+  suggestedRewrites
+};
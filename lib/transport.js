@@ -0,0 +1,278 @@
+// HTTP transport shared by every fetch: page requests, link and asset probes,
+// sitemaps and Puppeteer navigation. It sets the User-Agent, sends credentials,
+// extra headers and cookies to the crawled site, keeps a cookie jar, and routes
+// requests through a proxy with the configured TLS settings.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const axios = require('axios');
+
+// Agent that tunnels HTTPS requests through an HTTP(S) proxy with CONNECT
+class ProxyTunnelAgent extends https.Agent {
+  constructor(proxyUrl, options) {
+    super(options);
+    this.proxyUrl = proxyUrl;
+  }
+
+  createConnection(options, callback) {
+    const proxyUrl = this.proxyUrl;
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+
+    if (proxyUrl.username) {
+      const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const request = (proxyUrl.protocol === 'https:' ? https : http).request({
+      host: proxyUrl.hostname,
+      port: proxyUrl.port || (proxyUrl.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers: headers
+    });
+
+    request.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        callback(new Error(`Proxy refused to connect to ${target} (HTTP ${response.statusCode})`));
+        return;
+      }
+
+      // SNI only takes host names, not IP addresses
+      const servername = options.servername || (net.isIP(options.host) ? undefined : options.host);
+      callback(null, tls.connect({ ...options, socket: socket, servername: servername }));
+    });
+    request.once('error', callback);
+    request.end();
+  }
+}
+
+// Turn `headers` (an object, or "Name: value" strings) into an object
+function parseHeaders(headers) {
+  if (!Array.isArray(headers)) return { ...headers };
+
+  const parsed = {};
+  for (const header of headers) {
+    const separator = header.indexOf(':');
+    if (separator < 1) {
+      throw new Error(`Invalid header "${header}", expected "Name: value".`);
+    }
+    parsed[header.substring(0, separator).trim()] = header.substring(separator + 1).trim();
+  }
+  return parsed;
+}
+
+// Turn `cookies` (an object, or "name=value" strings) into a Map
+function parseCookies(cookies) {
+  if (!Array.isArray(cookies)) return new Map(Object.entries(cookies));
+
+  const parsed = new Map();
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid cookie "${cookie}", expected "name=value".`);
+    }
+    parsed.set(cookie.substring(0, separator).trim(), cookie.substring(separator + 1).trim());
+  }
+  return parsed;
+}
+
+// Parse the proxy URL into a URL object, or null without a proxy
+function parseProxy(proxy) {
+  if (!proxy) return null;
+
+  let proxyUrl;
+  try {
+    proxyUrl = new URL(proxy);
+  } catch (error) {
+    throw new Error(`Invalid proxy URL: ${proxy}`);
+  }
+
+  if (proxyUrl.protocol !== 'http:' && proxyUrl.protocol !== 'https:') {
+    throw new Error(`Unsupported proxy protocol ${proxyUrl.protocol} (expected http: or https:)`);
+  }
+  return proxyUrl;
+}
+
+// Create the transport. Options:
+//   userAgent   - User-Agent header sent with every request
+//   auth        - "user:password" for basic authentication
+//   bearerToken - token sent as "Authorization: Bearer <token>"
+//   headers     - extra request headers
+//   cookies     - cookies to start the jar with
+//   proxy       - HTTP(S) proxy URL, credentials included
+//   caFile      - PEM file with extra certificate authorities to trust
+//   insecure    - accept invalid TLS certificates
+//
+// Credentials, extra headers and the initial cookies are only sent to the crawled
+// site (see setSiteUrl), never to external links.
+function createTransport(options = {}) {
+  if (options.auth && !String(options.auth).includes(':')) {
+    throw new Error('auth must be "user:password".');
+  }
+  if (options.auth && options.bearerToken) {
+    throw new Error('Use either auth or bearerToken, not both.');
+  }
+
+  const siteHeaders = parseHeaders(options.headers || {});
+  if (options.auth) {
+    siteHeaders.Authorization = `Basic ${Buffer.from(String(options.auth)).toString('base64')}`;
+  } else if (options.bearerToken) {
+    siteHeaders.Authorization = `Bearer ${options.bearerToken}`;
+  }
+
+  const initialCookies = parseCookies(options.cookies || []);
+  const proxyUrl = parseProxy(options.proxy);
+
+  let ca;
+  if (options.caFile) {
+    try {
+      ca = fs.readFileSync(options.caFile);
+    } catch (error) {
+      throw new Error(`Cannot read CA file ${options.caFile}: ${error.message}`);
+    }
+  }
+
+  const tlsOptions = { rejectUnauthorized: !options.insecure };
+  if (ca) tlsOptions.ca = [...tls.rootCertificates, ca];
+
+  const httpsAgent = proxyUrl ? new ProxyTunnelAgent(proxyUrl, tlsOptions) : new https.Agent(tlsOptions);
+
+  // Plain HTTP requests go to the proxy with the full URL as the request target
+  const httpProxy = proxyUrl ? {
+    protocol: proxyUrl.protocol.replace(':', ''),
+    host: proxyUrl.hostname,
+    port: Number(proxyUrl.port) || (proxyUrl.protocol === 'https:' ? 443 : 80),
+    ...(proxyUrl.username && {
+      auth: { username: decodeURIComponent(proxyUrl.username), password: decodeURIComponent(proxyUrl.password) }
+    })
+  } : undefined;
+
+  // Cookie jar: cookie values by host, filled from Set-Cookie response headers
+  const jar = new Map();
+  let siteHost = null;
+
+  const hostOf = url => {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  };
+
+  const cookiesFor = host => {
+    if (!jar.has(host)) jar.set(host, host === siteHost ? new Map(initialCookies) : new Map());
+    return jar.get(host);
+  };
+
+  const storeCookies = (host, setCookie) => {
+    const cookies = cookiesFor(host);
+
+    for (const header of [].concat(setCookie || [])) {
+      const [pair, ...attributes] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator < 1) continue;
+
+      const name = pair.substring(0, separator).trim();
+      const expired = attributes.some(attribute => {
+        const [key, value = ''] = attribute.split('=');
+        if (key.trim().toLowerCase() === 'max-age') return Number(value) <= 0;
+        if (key.trim().toLowerCase() === 'expires') return Date.parse(value) < Date.now();
+        return false;
+      });
+
+      if (expired) {
+        cookies.delete(name);
+      } else {
+        cookies.set(name, pair.substring(separator + 1).trim());
+      }
+    }
+  };
+
+  // Headers for a request to the given URL
+  const headersFor = url => {
+    const host = hostOf(url);
+    const headers = { 'User-Agent': options.userAgent };
+
+    if (host === siteHost) Object.assign(headers, siteHeaders);
+
+    const cookies = cookiesFor(host);
+    if (cookies.size > 0) {
+      headers.Cookie = Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    return headers;
+  };
+
+  return {
+    // The crawled site, which gets the credentials, extra headers and cookies
+    setSiteUrl(url) {
+      siteHost = hostOf(url);
+      jar.delete(siteHost);
+    },
+
+    // Send a request with axios. `config` is an axios request config with `url`.
+    // HTTPS requests reach the proxy through the tunnel agent instead of axios.
+    async request(config) {
+      const response = await axios.request({
+        ...config,
+        headers: { ...headersFor(config.url), ...config.headers },
+        httpsAgent: httpsAgent,
+        ...(httpProxy && { proxy: config.url.startsWith('https:') ? false : httpProxy })
+      });
+
+      storeCookies(hostOf(config.url), response.headers && response.headers['set-cookie']);
+      return response;
+    },
+
+    // Browser launch settings for Puppeteer. A custom CA can't be passed to Chrome,
+    // which uses the system certificate store.
+    browserOptions() {
+      return {
+        proxy: proxyUrl ? `${proxyUrl.protocol}//${proxyUrl.host}` : null,
+        insecure: Boolean(options.insecure)
+      };
+    },
+
+    // Set up a Puppeteer page so its requests carry the same headers and cookies.
+    // Requests for the given resource types (see BLOCKED_RESOURCE_TYPES in
+    // lib/browser.js) are aborted.
+    async preparePage(page, blockResourceTypes = []) {
+      await page.setUserAgent(options.userAgent);
+
+      if (proxyUrl && proxyUrl.username) {
+        await page.authenticate({
+          username: decodeURIComponent(proxyUrl.username),
+          password: decodeURIComponent(proxyUrl.password)
+        });
+      }
+
+      // Add the headers per request, so credentials only go to the crawled site
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+
+        if (blockResourceTypes.includes(request.resourceType())) {
+          request.abort();
+          return;
+        }
+
+        const headers = request.headers();
+        for (const [name, value] of Object.entries(headersFor(request.url()))) {
+          const key = name.toLowerCase();
+          if (key === 'user-agent') continue;
+          headers[key] = key === 'cookie' && headers.cookie ? `${headers.cookie}; ${value}` : value;
+        }
+        request.continue({ headers: headers });
+      });
+    }
+  };
+}
+
+module.exports = {
+  createTransport
+};